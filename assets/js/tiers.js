@@ -1,6 +1,10 @@
 'use strict';
 
 const MAX_NAME_LEN = 200;
+const MAX_NOTES_LEN = 5000;
+const MAX_TAG_LEN = 50;
+// Version of the save format written by save_tierlist(). Older files are upgraded by migrate_tierlist().
+const FORMAT_VERSION = 3;
 const DEFAULT_TIERS = ['S','A','B','C','D','E','F'];
 const TIER_COLORS = [
 	// from S to F
@@ -17,6 +21,81 @@ let unique_id = 0;
 
 let unsaved_changes = false;
 
+// Local autosave (IndexedDB) used to recover the working tierlist after a crash
+const DB_NAME = 'offline-tierlist';
+const DB_VERSION = 2;
+const SESSION_STORE = 'session';
+const SESSION_KEY = 'current';
+const AUTOSAVE_DELAY_MS = 1000;
+let db_promise;
+let autosave_enabled = false;
+let autosave_timer;
+
+// Library of named tierlists, stored in the same database. Records are {id, tierlist, modified}.
+// The open library list (if any) is kept up to date by the autosave.
+const LIBRARY_STORE = 'lists';
+let current_list_id = null;
+let library_dirty = false;
+
+// Undo/redo history. Each step is an {undo, redo} pair of functions. The size is bounded since
+// steps keep alive the DOM nodes (and image data) they reference, e.g. trashed items.
+const MAX_HISTORY = 100;
+let undo_stack = [];
+let redo_stack = [];
+
+// Image export layout, in pixels
+const IMAGE_EXPORT_WIDTH = 1200;
+const IMAGE_EXPORT_TITLE_HEIGHT = 70;
+const IMAGE_EXPORT_HEADER_WIDTH = 100;
+const IMAGE_EXPORT_ITEM_SIZE = 100;
+const IMAGE_EXPORT_LABEL_HEIGHT = 16;
+const IMAGE_EXPORT_GAP = 4;
+const IMAGE_EXPORT_BACKGROUND = '#333';
+const UNTIERED_COLOR = '#666';
+
+// User settings, persisted in localStorage
+const SETTINGS_STORAGE_KEY = 'offline-tierlist-settings';
+const DEFAULT_SETTINGS = {
+	// Downscale and re-encode images when they are added (file input, paste or JSON import)
+	thumbnail_enabled: false,
+	thumbnail_max_edge: 256,
+	thumbnail_quality: 0.8,
+	// What to do when an added image is already on the board: 'skip', 'keep' (both) or 'ask'
+	duplicate_images: 'ask',
+	// Place images imported from ZIP files or folders into the row named like their folder (S/, A/...)
+	bulk_import_auto_place: true,
+	// Keep the recycle bin in exported files
+	export_trash: false,
+};
+let settings = Object.assign({}, DEFAULT_SETTINGS);
+
+// Content hashes of the images on the board, computed on demand: img -> {src, hash}
+let image_hashes = new WeakMap();
+const DUPLICATE_HIGHLIGHT_MS = 2000;
+
+// Largest image file accepted when adding images
+const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
+// Image types by file extension, for files without one (in ZIP files)
+const IMAGE_EXTENSION_TYPES = {
+	png: 'image/png',
+	jpg: 'image/jpeg',
+	jpeg: 'image/jpeg',
+	gif: 'image/gif',
+	webp: 'image/webp',
+	avif: 'image/avif',
+	bmp: 'image/bmp',
+	svg: 'image/svg+xml',
+};
+
+// Generated tiles of text items
+const TEXT_ITEM_SIZE = 100;
+const TEXT_ITEM_MAX_FULL_NAME_LEN = 10;
+
+// Item whose notes and tags are being edited in the item details panel
+let details_item = null;
+// Tag whose items are highlighted on the board, if any
+let highlighted_tag = null;
+
 const LAYOUT_HORIZONTAL = 0;
 const LAYOUT_VERTICAL = 1;
 let cur_layout = LAYOUT_HORIZONTAL;
@@ -36,14 +115,34 @@ let old_item_index;
 // Used to add and remove the placement marker
 let placement_marker_div;
 
+// Keyboard placement: the picked up item container, and the {list, index} it would be dropped before
+let keyboard_picked_item = null;
+let keyboard_target;
+
+// Quick rank mode (see start_quick_rank()), null when not ranking
+let quick_rank = null;
+
+// Multiple selection: selected items have the 'selected' class. The anchor is where Shift-click ranges start.
+let selection_anchor = null;
+let selection_band = null;
+
+// Row being dragged by its header, to reorder the rows
+let dragged_row = null;
+
+// Items dropped on the trash, as [{container, list, tier, index}]: list is the element the item was in
+// (null for items loaded from a file), tier the name of its row (null for the untiered pool)
+let recycle_bin = [];
+
+// Touch drag and drop (see start_touch_drag())
+const LONG_PRESS_MS = 400;
+const LONG_PRESS_TOLERANCE = 10;
+const AUTO_SCROLL_EDGE = 50;
+const AUTO_SCROLL_MAX_SPEED = 20;
+let touch_drag = null;
+
 function reset_row(row) {
 	row.querySelectorAll('span.item').forEach((item) => {
-		// Find item-container or img within the item
 		let item_container = item.querySelector('.item-container');
-		if (!item_container) {
-			// Fallback: look for img directly (old format)
-			item_container = item.querySelector('img.draggable');
-		}
 		if (item_container) {
 			item.removeChild(item_container);
 			untiered_images.appendChild(item_container);
@@ -54,6 +153,7 @@ function reset_row(row) {
 
 // Removes all rows from the tierlist, alongside their content.
 // Also empties the untiered images.
+// Callers should await flush_autosave() first, so that pending changes are stored with the right list.
 function hard_reset_list() {
 	// Use safer DOM manipulation instead of innerHTML
 	while (tierlist_div.firstChild) {
@@ -62,37 +162,66 @@ function hard_reset_list() {
 	while (untiered_images.firstChild) {
 		untiered_images.removeChild(untiered_images.firstChild);
 	}
+	all_headers = [];
+	clear_history();
+	current_list_id = null;
+	selection_anchor = null;
+	recycle_bin = [];
+	update_recycle_bin();
+	update_selection_bar();
 	update_untiered_count();
 }
 
 // Places back all the tierlist content into the untiered pool.
 function soft_reset_list() {
+	let moves = begin_item_moves(Array.from(tierlist_div.querySelectorAll('.row .item-container')));
 	tierlist_div.querySelectorAll('.row').forEach(reset_row);
-	unsaved_changes = true;
+	record_item_moves(moves);
+	mark_unsaved();
 	update_untiered_count();
 }
 
+// Flags the tierlist as modified and schedules a local autosave
+function mark_unsaved() {
+	unsaved_changes = true;
+	library_dirty = true;
+	schedule_autosave();
+}
+
+// Normalizes text for searching: case-insensitive and ignoring diacritics. NFKD also splits
+// ligatures such as the Armenian "և", so that they match their letters typed separately.
+function normalize_search_text(text) {
+	return text.normalize('NFKD').replace(/\p{M}/gu, '').toLocaleLowerCase();
+}
+
+// Filters the untiered pool by the search box text, and highlights the matching items in the rows
+function apply_search() {
+	let search_input = document.getElementById('search-input');
+	let query = normalize_search_text(search_input ? search_input.value.trim() : '');
+	document.querySelectorAll('.item-container').forEach((container) => {
+		let label = container.querySelector('.item-label');
+		let matches = query !== '' && normalize_search_text(label ? label.textContent : '').includes(query);
+		let in_pool = untiered_images.contains(container);
+		let node = container.parentNode.classList.contains('item') ? container.parentNode : container;
+		node.classList.toggle('filtered-out', in_pool && query !== '' && !matches);
+		container.classList.toggle('search-match', !in_pool && matches);
+	});
+	// Hidden items don't count as selected
+	update_selection_bar();
+}
+
 // Updates the display of untiered items count
 function update_untiered_count() {
 	if (!untiered_images) {
 		return;
 	}
-	// Count all item containers first (new format)
+	// Newly added or moved items have to be filtered too
+	apply_search();
+
 	let item_containers = untiered_images.querySelectorAll('.item-container');
 	let count = item_containers.length;
-	
-	// If no item containers found, count draggable images directly (old format)
-	// But exclude any that are already inside item containers to avoid double counting
-	if (count === 0) {
-		let draggable_imgs = untiered_images.querySelectorAll('img.draggable');
-		draggable_imgs.forEach((img) => {
-			// Only count if it's not inside an item-container
-			if (!img.closest('.item-container')) {
-				count++;
-			}
-		});
-	}
-	
+	let visible_count = Array.from(item_containers).filter((container) => !container.closest('.filtered-out')).length;
+
 	let count_display = document.getElementById('untiered-count');
 	if (count_display) {
 		if (count === 0) {
@@ -102,10 +231,23 @@ function update_untiered_count() {
 		} else {
 			count_display.textContent = `(${count} items remaining)`;
 		}
+		if (count > 0 && visible_count !== count) {
+			count_display.textContent = count_display.textContent.replace(')', `, ${visible_count} shown)`);
+		}
+	}
+	if (quick_rank) {
+		// The shown item may have been moved meanwhile (e.g. by undoing), or new ones added
+		let current = quick_rank.current;
+		if (current === null ? count > 0 : !untiered_images.contains(current)) {
+			next_quick_rank_item();
+		} else {
+			show_quick_rank_progress(count);
+		}
 	}
 }
 
 window.addEventListener('load', () => {
+	load_settings();
 	untiered_images =  document.querySelector('.images');
 	tierlist_div =  document.querySelector('.tierlist');
 
@@ -122,7 +264,6 @@ window.addEventListener('load', () => {
 
 	document.getElementById('load-img-input').addEventListener('input', (evt) => {
 		// @Speed: maybe we can do some async stuff to optimize this
-		let images = document.querySelector('.images');
 		for (let file of evt.target.files) {
 			// Validate file type
 			if (!file.type.startsWith('image/')) {
@@ -130,8 +271,7 @@ window.addEventListener('load', () => {
 				continue;
 			}
 			
-			// Validate file size (limit to 10MB to prevent memory issues)
-			const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
+			// Validate file size to prevent memory issues
 			if (file.size > MAX_FILE_SIZE) {
 				alert(`File ${file.name} is too large (max 10MB). Skipping.`);
 				continue;
@@ -139,19 +279,12 @@ window.addEventListener('load', () => {
 			
 			let reader = new FileReader();
 			reader.addEventListener('load', (load_evt) => {
-				try {
-					// Extract name from filename (remove extension)
-					let name = file.name.replace(/\.[^/.]+$/, '');
-					// Sanitize name to prevent XSS
-					name = name.substring(0, MAX_NAME_LEN).replace(/[<>]/g, '');
-					let item_container = create_item_with_src_and_name(load_evt.target.result, name);
-					images.appendChild(item_container);
-					unsaved_changes = true;
-					update_untiered_count();
-				} catch (e) {
+				// Extract name from filename (remove extension)
+				let name = sanitize_item_name(file.name.replace(/\.[^/.]+$/, ''));
+				add_untiered_item(load_evt.target.result, name).catch((e) => {
 					console.error("Error processing image:", e);
 					alert(`Failed to load image ${file.name}`);
-				}
+				});
 			});
 			reader.addEventListener('error', () => {
 				alert(`Failed to read file: ${file.name}`);
@@ -168,12 +301,10 @@ window.addEventListener('load', () => {
 		if (!clip_data) return;
 		
 		let items = clip_data.items;
-		let images = document.querySelector('.images');
 		for (let item of items) {
 			if (item.kind === 'file' && item.type.startsWith('image/')) {
 				let blob = item.getAsFile();
 				// Validate file size
-				const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
 				if (blob.size > MAX_FILE_SIZE) {
 					alert('Pasted image is too large (max 10MB). Skipping.');
 					continue;
@@ -181,15 +312,10 @@ window.addEventListener('load', () => {
 				
 				let reader = new FileReader();
 				reader.onload = (load_evt) => {
-					try {
-						// Pasted images don't have names, use empty string
-						let item_container = create_item_with_src_and_name(load_evt.target.result, '');
-						images.appendChild(item_container);
-						unsaved_changes = true;
-						update_untiered_count();
-					} catch (e) {
+					// Pasted images don't have names, use empty string
+					add_untiered_item(load_evt.target.result, '').catch((e) => {
 						console.error("Error processing pasted image:", e);
-					}
+					});
 				};
 				reader.onerror = () => {
 					alert('Failed to read pasted image');
@@ -205,48 +331,41 @@ window.addEventListener('load', () => {
 		}
 	});
 
-	document.getElementById('export-input').addEventListener('click', () => {
-		let name = prompt('Please give a name to this tierlist');
-		if (name) {
-			// Sanitize filename to prevent directory traversal and invalid characters
-			name = name.replace(/[<>:"/\\|?*\x00-\x1f]/g, '').substring(0, 200);
-			if (name) {
-				save_tierlist(`${name}.json`);
-			} else {
-				alert('Invalid filename');
-			}
-		}
-	});
-
 	document.getElementById('import-input').addEventListener('input', (evt) => {
-		if (!evt.target.files) {
+		if (!evt.target.files || evt.target.files.length === 0) {
 			return;
 		}
-		let file = evt.target.files[0];
-		let reader = new FileReader();
-		reader.addEventListener('load', (load_evt) => {
-			try {
-				let raw = load_evt.target.result;
-				let parsed = JSON.parse(raw);
-				if (!parsed || typeof parsed !== 'object') {
-					alert("Failed to parse data: Invalid JSON format");
-					return;
-				}
-				hard_reset_list();
-				load_tierlist(parsed);
-			} catch (e) {
-				alert("Failed to parse data: " + (e.message || "Invalid JSON"));
-				console.error("JSON parse error:", e);
-			}
-		});
-		reader.addEventListener('error', () => {
-			alert("Failed to read file");
-		});
-		reader.readAsText(file);
+		let files = Array.from(evt.target.files);
+		// Reset input to allow selecting the same file again
+		evt.target.value = '';
+		void import_tierlist_files(files);
 	});
 
 	bind_trash_events();
 	bind_toggle_layout_events();
+	bind_history_events();
+	bind_export_image_events();
+	bind_export_events();
+	bind_export_text_events();
+	bind_compare_events();
+	bind_consensus_events();
+	bind_sort_assistant_events();
+	bind_quick_rank_events();
+	bind_bulk_import_events();
+	bind_settings_events();
+	bind_library_events();
+	bind_keyboard_placement_events();
+	bind_selection_events();
+	bind_touch_drag_events();
+	bind_item_details_events();
+	document.getElementById('add-text-item-input').addEventListener('click', () => {
+		let name = prompt('Name of the new item');
+		name = name ? sanitize_item_name(name.trim()) : '';
+		if (name) {
+			add_text_item(name);
+		}
+	});
+	document.getElementById('search-input').addEventListener('input', update_untiered_count);
 
 	window.addEventListener('beforeunload', (evt) => {
 		if (!unsaved_changes) return null;
@@ -255,13 +374,170 @@ window.addEventListener('load', () => {
 		return msg;
 	});
 
-	void try_load_tierlist_json().then(() => {
-		update_untiered_count();
-	}).catch(() => {
+	// Don't wait for the autosave delay if the page is going away
+	window.addEventListener('pagehide', () => {
+		void flush_autosave();
+	});
+
+	void try_load_tierlist_json().then((loaded) => {
+		if (!loaded) {
+			return try_restore_session();
+		}
+	}).catch(() => {}).then(() => {
 		update_untiered_count();
+		autosave_enabled = true;
 	});
 });
 
+// Adds a new item at the end of the untiered pool, thumbnailing its image first if enabled.
+// Resolves to null if the image was already on the board and wasn't added again.
+async function add_untiered_item(src, name) {
+	src = await make_thumbnail(src);
+	if (!accept_duplicate_image(src, name)) {
+		return null;
+	}
+	return append_new_item(create_item_with_src_and_name(src, name));
+}
+
+function add_text_item(name) {
+	return append_new_item(create_text_item(name));
+}
+
+function append_new_item(item_container) {
+	let moves = begin_item_moves([item_container]);
+	untiered_images.appendChild(item_container);
+	record_item_moves(moves);
+	mark_unsaved();
+	update_untiered_count();
+	return item_container;
+}
+
+// Text items have no image: they show a tile generated from their name instead, which is not saved
+function create_text_item(name) {
+	name = sanitize_item_name(name);
+	let container = create_item_with_src_and_name(text_item_src(name), name);
+	container.classList.add('text-item');
+	return container;
+}
+
+// Returns the image to show for a serialized item
+function item_image_src(item) {
+	return item.type === 'text' ? text_item_src(item.name) : item.src;
+}
+
+// Builds the tile of a text item: its name, or its initials if too long, on a color derived from it
+function text_item_src(name) {
+	let text = name.trim();
+	if (text.length > TEXT_ITEM_MAX_FULL_NAME_LEN) {
+		text = text.split(/\s+/).slice(0, 3).map((word) => Array.from(word)[0]).join('').toUpperCase();
+	}
+	let hue = parseInt(hash_bytes(new TextEncoder().encode(name)), 16) % 360;
+	let font_size = Math.min(40, Math.floor(TEXT_ITEM_SIZE * 1.6 / Math.max(1, Array.from(text).length)));
+	let svg = `<svg xmlns='http://www.w3.org/2000/svg' width='${TEXT_ITEM_SIZE}' height='${TEXT_ITEM_SIZE}'>` +
+		`<rect width='100%' height='100%' fill='hsl(${hue}, 45%, 40%)'/>` +
+		`<text x='50%' y='50%' dominant-baseline='central' text-anchor='middle' font-family='sans-serif' font-weight='bold' font-size='${font_size}' fill='#fff'>${escape_xml(text)}</text>` +
+		`</svg>`;
+	return 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svg);
+}
+
+// Sets the name of an item, regenerating its tile if it's a text item
+function set_item_name(container, name) {
+	container.querySelector('.item-label').textContent = name;
+	if (container.classList.contains('text-item')) {
+		container.querySelector('img.draggable').src = text_item_src(name);
+	}
+}
+
+// Hashes a byte array (cyrb53, a fast 53 bit non-cryptographic hash)
+function hash_bytes(bytes) {
+	let h1 = 0xdeadbeef;
+	let h2 = 0x41c6ce57;
+	for (let i = 0; i < bytes.length; ++i) {
+		h1 = Math.imul(h1 ^ bytes[i], 2654435761);
+		h2 = Math.imul(h2 ^ bytes[i], 1597334677);
+	}
+	h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+	h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+	return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16);
+}
+
+// Hashes the bytes of the image of a data URI, so the same image has the same hash whatever its mime type
+function hash_image_src(src) {
+	return hash_bytes(data_url_to_bytes(src).bytes);
+}
+
+// Decodes a data URI into its mime type and bytes
+function data_url_to_bytes(src) {
+	let comma = src.indexOf(',');
+	let header = src.substring(0, comma);
+	let payload = src.substring(comma + 1);
+	let bytes;
+	if (header.endsWith(';base64')) {
+		let binary = atob(payload);
+		bytes = new Uint8Array(binary.length);
+		for (let i = 0; i < binary.length; ++i) {
+			bytes[i] = binary.charCodeAt(i);
+		}
+	} else {
+		bytes = new TextEncoder().encode(decodeURIComponent(payload));
+	}
+	return { type: header.substring('data:'.length).split(';')[0], bytes: bytes };
+}
+
+function get_item_hash(container) {
+	let img = container.querySelector('img.draggable');
+	let cached = image_hashes.get(img);
+	// The src changes when images are recompressed
+	if (!cached || cached.src !== img.src) {
+		cached = { src: img.src, hash: hash_image_src(img.src) };
+		image_hashes.set(img, cached);
+	}
+	return cached.hash;
+}
+
+// Returns the item container on the board holding exactly the image of src, if any
+function find_duplicate_item(src) {
+	let hash = hash_image_src(src);
+	return Array.from(document.querySelectorAll('.item-container')).find((container) => {
+		return get_item_hash(container) === hash && container.querySelector('img.draggable').src.split(',')[1] === src.split(',')[1];
+	});
+}
+
+// Describes where an item is for the user, e.g. 'tier "S"' or 'the untiered pool'
+function describe_item_location(container) {
+	let row = container.closest('.row');
+	if (!row) {
+		return 'the untiered pool';
+	}
+	return `tier "${row.querySelector('.header label').innerText}"`;
+}
+
+function highlight_item(container) {
+	container.scrollIntoView?.({ block: 'nearest' });
+	container.classList.add('duplicate-highlight');
+	setTimeout(() => container.classList.remove('duplicate-highlight'), DUPLICATE_HIGHLIGHT_MS);
+}
+
+// Checks if an image about to be added is already on the board, and decides if it should be added
+// anyway according to the duplicate_images setting. The existing copy is highlighted when it isn't.
+function accept_duplicate_image(src, name) {
+	if (settings.duplicate_images === 'keep') {
+		return true;
+	}
+	let existing = find_duplicate_item(src);
+	if (!existing) {
+		return true;
+	}
+	let existing_name = existing.querySelector('.item-label')?.textContent.trim();
+	let description = `${name ? `"${name}"` : 'This image'} is already on the board` +
+		`${existing_name ? ` as "${existing_name}"` : ''}, in ${describe_item_location(existing)}.`;
+	if (settings.duplicate_images !== 'skip' && confirm(`${description} Add it anyway?`)) {
+		return true;
+	}
+	highlight_item(existing);
+	return false;
+}
+
 function create_img_with_src(src) {
 	let img = document.createElement('img');
 	img.src = src;
@@ -290,6 +566,8 @@ function create_item_with_src_and_name(src, name) {
 	// Create container for image and label
 	let container = document.createElement('div');
 	container.classList.add('item-container');
+	// Focusable for keyboard placement
+	container.tabIndex = 0;
 	
 	// Create image
 	let img = document.createElement('img');
@@ -311,10 +589,13 @@ function create_item_with_src_and_name(src, name) {
 	// Create label for restaurant name
 	let label = document.createElement('span');
 	label.classList.add('item-label');
-	// Sanitize name to prevent XSS
-	let sanitizedName = (name || '').substring(0, MAX_NAME_LEN).replace(/[<>]/g, '');
-	label.textContent = sanitizedName;
+	label.textContent = sanitize_item_name(name || '');
 	label.style.userSelect = 'none';
+	label.addEventListener('dblclick', (evt) => {
+		// Renaming, not opening the item details
+		evt.stopPropagation();
+		start_item_rename(container);
+	});
 	
 	// Add mousedown handler to the image for dragging
 	img.addEventListener('mousedown', (evt) => {
@@ -329,15 +610,193 @@ function create_item_with_src_and_name(src, name) {
 		// Grabs the index of the item's original placement prior to being dragged.
 		old_item_index = get_item_index(itemContainer);
 	});
+	img.addEventListener('pointerdown', on_item_pointerdown);
 	
 	container.appendChild(img);
 	container.appendChild(label);
+	container.addEventListener('dblclick', () => open_item_details(container));
+	container.addEventListener('click', (evt) => on_item_click(evt, container));
 	
 	return container;
 }
 
+// Sanitize item names to prevent XSS
+function sanitize_item_name(name) {
+	return name.substring(0, MAX_NAME_LEN).replace(/[<>]/g, '');
+}
+
+// Replaces the label of an item by a text input to rename it.
+// Enter or leaving the input applies the new name, Escape cancels.
+function start_item_rename(container) {
+	let label = container.querySelector('.item-label');
+	if (container.querySelector('.item-label-input')) {
+		return;
+	}
+	let old_name = label.textContent;
+	let input = document.createElement('input');
+	input.type = 'text';
+	input.classList.add('item-label-input');
+	input.maxLength = MAX_NAME_LEN;
+	input.value = old_name;
+
+	let done = false;
+	function finish(apply) {
+		if (done) {
+			return;
+		}
+		done = true;
+		input.remove();
+		label.style.display = '';
+		let new_name = sanitize_item_name(input.value.trim());
+		// Text items can't be nameless
+		if (new_name === '' && container.classList.contains('text-item')) {
+			apply = false;
+		}
+		if (apply && new_name !== old_name) {
+			set_item_name(container, new_name);
+			push_history({
+				undo: () => set_item_name(container, old_name),
+				redo: () => set_item_name(container, new_name),
+			});
+			mark_unsaved();
+			update_untiered_count();
+		}
+	}
+	input.addEventListener('keydown', (evt) => {
+		if (evt.key === 'Enter' || evt.key === 'Escape') {
+			evt.preventDefault();
+			finish(evt.key === 'Enter');
+			container.focus();
+		}
+		// Keys typed in the input are not for the item
+		evt.stopPropagation();
+	});
+	input.addEventListener('blur', () => finish(true));
+	input.addEventListener('dblclick', (evt) => evt.stopPropagation());
+
+	label.style.display = 'none';
+	label.after(input);
+	input.focus();
+	input.select();
+}
+
+// Trims, deduplicates (ignoring case) and sanitizes a list of tags
+function normalize_tags(tags) {
+	let result = [];
+	for (let tag of tags) {
+		tag = String(tag).replace(/[<>]/g, '').replace(/\s+/g, ' ').trim().substring(0, MAX_TAG_LEN);
+		if (tag !== '' && !result.some((other) => other.toLowerCase() === tag.toLowerCase())) {
+			result.push(tag);
+		}
+	}
+	return result;
+}
+
+function get_item_details(container) {
+	return {
+		notes: container.dataset.notes ?? '',
+		tags: container.dataset.tags ? JSON.parse(container.dataset.tags) : [],
+	};
+}
+
+// Sets the notes and tags of an item, and shows its tags as chips under its label
+function set_item_details(container, details) {
+	let notes = details.notes.substring(0, MAX_NOTES_LEN);
+	let tags = normalize_tags(details.tags);
+	if (notes !== '') {
+		container.dataset.notes = notes;
+		container.title = notes;
+	} else {
+		delete container.dataset.notes;
+		container.removeAttribute('title');
+	}
+	if (tags.length > 0) {
+		container.dataset.tags = JSON.stringify(tags);
+	} else {
+		delete container.dataset.tags;
+	}
+
+	container.querySelector('.item-tags')?.remove();
+	if (tags.length > 0) {
+		let chips = document.createElement('span');
+		chips.classList.add('item-tags');
+		for (let tag of tags) {
+			let chip = document.createElement('span');
+			chip.classList.add('tag-chip');
+			chip.textContent = tag;
+			chip.addEventListener('click', (evt) => {
+				evt.stopPropagation();
+				highlight_tag(highlighted_tag !== null && highlighted_tag.toLowerCase() === tag.toLowerCase() ? null : tag);
+			});
+			chips.appendChild(chip);
+		}
+		container.appendChild(chips);
+	}
+	container.classList.toggle('has-notes', notes !== '');
+	apply_tag_highlight(container);
+}
+
+function same_item_details(a, b) {
+	return a.notes === b.notes && JSON.stringify(a.tags) === JSON.stringify(b.tags);
+}
+
+// Highlights the items having the given tag (ignoring case), or none if tag is null
+function highlight_tag(tag) {
+	highlighted_tag = tag;
+	document.querySelectorAll('.item-container').forEach(apply_tag_highlight);
+}
+
+function apply_tag_highlight(container) {
+	let wanted = highlighted_tag === null ? null : highlighted_tag.toLowerCase();
+	let has_tag = false;
+	container.querySelectorAll('.tag-chip').forEach((chip) => {
+		let active = chip.textContent.toLowerCase() === wanted;
+		chip.classList.toggle('active', active);
+		has_tag = has_tag || active;
+	});
+	container.classList.toggle('tag-match', has_tag);
+}
+
+function open_item_details(container) {
+	let dialog = document.getElementById('item-details-dialog');
+	let details = get_item_details(container);
+	details_item = container;
+	document.getElementById('item-details-img').src = container.querySelector('img.draggable').src;
+	document.getElementById('item-details-name').textContent = container.querySelector('.item-label').textContent || '(unnamed)';
+	document.getElementById('item-notes').value = details.notes;
+	document.getElementById('item-tags').value = details.tags.join(', ');
+	dialog.returnValue = '';
+	dialog.showModal();
+}
+
+function bind_item_details_events() {
+	let dialog = document.getElementById('item-details-dialog');
+	dialog.addEventListener('close', () => {
+		let container = details_item;
+		details_item = null;
+		if (dialog.returnValue !== 'save' || !container) {
+			return;
+		}
+		let old_details = get_item_details(container);
+		set_item_details(container, {
+			notes: document.getElementById('item-notes').value.trim(),
+			tags: document.getElementById('item-tags').value.split(','),
+		});
+		let new_details = get_item_details(container);
+		if (same_item_details(old_details, new_details)) {
+			return;
+		}
+		push_history({
+			undo: () => set_item_details(container, old_details),
+			redo: () => set_item_details(container, new_details),
+		});
+		mark_unsaved();
+	});
+}
+
 function save(filename, text) {
 	unsaved_changes = false;
+	schedule_autosave();
 
 	var el = document.createElement('a');
 	el.setAttribute('href', 'data:text/html;charset=utf-8,' + encodeURIComponent(text));
@@ -348,8 +807,10 @@ function save(filename, text) {
 	document.body.removeChild(el);
 }
 
-function save_tierlist(filename) {
+// Builds the serializable representation of the current tierlist (the export format)
+function serialize_tierlist() {
 	let serialized_tierlist = {
+		version: FORMAT_VERSION,
 		title: document.querySelector('.title-label').innerText,
 		rows: [],
 	};
@@ -365,155 +826,2732 @@ function save_tierlist(filename) {
 			name: row.querySelector('.header label').innerText.substring(0, MAX_NAME_LEN),
 			color: color_hex
 		});
-		serialized_tierlist.rows[i].imgs = [];
-		// Look for item-containers first (new format), then fall back to img elements (old format)
-		row.querySelectorAll('.item-container').forEach((container) => {
-			let img = container.querySelector('img.draggable');
-			let label = container.querySelector('.item-label');
-			if (img) {
-				serialized_tierlist.rows[i].imgs.push({
-					src: img.src,
-					name: label ? label.textContent.trim() : ''
-				});
-			}
-		});
-		// Fallback: if no item-containers found, use old format (bare img elements)
-		if (serialized_tierlist.rows[i].imgs.length === 0) {
-			row.querySelectorAll('img.draggable').forEach((img) => {
-				serialized_tierlist.rows[i].imgs.push(img.src);
-			});
-		}
+		serialized_tierlist.rows[i].imgs = Array.from(row.querySelectorAll('.item-container'), serialize_item);
 	});
 
-	let untiered_imgs = document.querySelectorAll('.images .item-container, .images img.draggable');
-	if (untiered_imgs.length > 0) {
-		serialized_tierlist.untiered = [];
-		untiered_imgs.forEach((elem) => {
-			// Check if it's an item-container (new format) or img (old format)
-			if (elem.classList && elem.classList.contains('item-container')) {
-				let img = elem.querySelector('img.draggable');
-				let label = elem.querySelector('.item-label');
-				if (img) {
-					serialized_tierlist.untiered.push({
-						src: img.src,
-						name: label ? label.textContent.trim() : ''
-					});
-				}
-			} else if (elem.tagName && elem.tagName.toUpperCase() === 'IMG') {
-				// Old format - just the image src
-				serialized_tierlist.untiered.push(elem.src);
+	let untiered_items = untiered_images.querySelectorAll('.item-container');
+	if (untiered_items.length > 0) {
+		serialized_tierlist.untiered = Array.from(untiered_items, serialize_item);
+	}
+
+	if (recycle_bin.length > 0) {
+		serialized_tierlist.trash = recycle_bin.map((entry) => {
+			let trashed = { item: serialize_item(entry.container), index: entry.index };
+			if (entry.tier !== null) {
+				trashed.tier = entry.tier;
 			}
+			return trashed;
 		});
 	}
 
-	save(filename, JSON.stringify(serialized_tierlist));
+	return serialized_tierlist;
 }
 
-function load_tierlist(serialized_tierlist) {
-	document.querySelector('.title-label').innerText = serialized_tierlist.title;
-	for (let idx in serialized_tierlist.rows) {
-		let ser_row = serialized_tierlist.rows[idx];
-		let elem = add_row(idx, ser_row.name);
+// The tierlist as exported to a file: the recycle bin is only kept if enabled in the settings
+function serialize_tierlist_for_export() {
+	let serialized_tierlist = serialize_tierlist();
+	if (!settings.export_trash) {
+		delete serialized_tierlist.trash;
+	}
+	return serialized_tierlist;
+}
 
-		for (let img_data of ser_row.imgs ?? []) {
-			// Handle both old format (string) and new format (object with src and name)
-			let img_src, img_name;
-			if (typeof img_data === 'string') {
-				// Old format - just the image src
-				img_src = img_data;
-				img_name = '';
-			} else if (typeof img_data === 'object' && img_data.src) {
-				// New format - object with src and name
-				img_src = img_data.src;
-				img_name = img_data.name || '';
-			} else {
-				continue; // Skip invalid entries
-			}
-			
-			let item_container = create_item_with_src_and_name(img_src, img_name);
-			let td = document.createElement('span');
-			td.classList.add('item');
-			td.appendChild(item_container);
-			let items_container = elem.querySelector('.items');
-			items_container.appendChild(td);
-		}
+function serialize_item(container) {
+	let label = container.querySelector('.item-label');
+	let name = label ? label.textContent.trim() : '';
+	// The tile of text items is generated again when loading them
+	let item = container.classList.contains('text-item') ? { type: 'text', name: name } : {
+		src: container.querySelector('img.draggable').src,
+		name: name
+	};
+	// Notes and tags are only written when set, to keep files small
+	let details = get_item_details(container);
+	if (details.notes !== '') {
+		item.notes = details.notes;
+	}
+	if (details.tags.length > 0) {
+		item.tags = details.tags;
+	}
+	if (container.dataset.spread !== undefined) {
+		item.spread = parseInt(container.dataset.spread, 10);
+	}
+	return item;
+}
 
-		elem.querySelector('label').innerText = ser_row.name;
-		// If "color" keys are found in the json, use them for the row header coloring.
-		if (ser_row.color !== undefined) {
-			let header = elem.querySelector('.header');
-			header.style.backgroundColor = ser_row.color;
-			header.querySelector('.row-color-picker').value = ser_row.color;
-		} else {
-			recompute_header_colors();
-		}
+function create_item_from_data(item_data) {
+	let container = item_data.type === 'text' ?
+		create_text_item(item_data.name) :
+		create_item_with_src_and_name(item_data.src, item_data.name || '');
+	if (item_data.notes || item_data.tags) {
+		set_item_details(container, {
+			notes: typeof item_data.notes === 'string' ? item_data.notes : '',
+			tags: Array.isArray(item_data.tags) ? item_data.tags : [],
+		});
+	}
+	if (Number.isInteger(item_data.spread) && item_data.spread >= 0) {
+		set_item_spread(container, item_data.spread);
 	}
+	return container;
+}
 
-	if (serialized_tierlist.untiered) {
-		let images = document.querySelector('.images');
-		for (let img_data of serialized_tierlist.untiered) {
-			// Handle both old format (string) and new format (object with src and name)
-			let img_src, img_name;
-			if (typeof img_data === 'string') {
-				// Old format - just the image src
-				img_src = img_data;
-				img_name = '';
-			} else if (typeof img_data === 'object' && img_data.src) {
-				// New format - object with src and name
-				img_src = img_data.src;
-				img_name = img_data.name || '';
-			} else {
-				continue; // Skip invalid entries
-			}
-			
-			let item_container = create_item_with_src_and_name(img_src, img_name);
-			images.appendChild(item_container);
+// Shows how much the rankings a consensus tierlist was built from disagree on an item, as a badge
+function set_item_spread(container, spread) {
+	container.dataset.spread = spread;
+	container.classList.add('has-spread');
+	let badge = document.createElement('span');
+	badge.classList.add('spread-badge');
+	badge.classList.toggle('high-spread', spread >= 2);
+	badge.textContent = `±${spread}`;
+	badge.title = `The rankings disagree by ${spread} tier${spread === 1 ? '' : 's'} on this item`;
+	container.appendChild(badge);
+}
+
+// Each migration upgrades a serialized tierlist from format version N to N + 1, N being its index + 1.
+// Files without a version field are version 1. Migrations must cope with malformed data, which is
+// reported by validate_tierlist() afterwards.
+const FORMAT_MIGRATIONS = [
+	// 1 -> 2: items could be just their image src, and rows could lack a color
+	(data) => {
+		let upgrade_items = (items) => Array.isArray(items) ?
+			items.map((item) => typeof item === 'string' ? { src: item, name: '' } : item) : items;
+		if (Array.isArray(data.rows)) {
+			data.rows.forEach((row, i) => {
+				if (row && typeof row === 'object') {
+					row.imgs = upgrade_items(row.imgs);
+					if (row.color === undefined) {
+						row.color = TIER_COLORS[i % TIER_COLORS.length];
+					}
+				}
+			});
 		}
+		data.untiered = upgrade_items(data.untiered);
+		return data;
+	},
+	// 2 -> 3: text items (with a type and no src) were added, older files need no changes
+	(data) => data,
+];
+
+// Upgrades a serialized tierlist of any older format version to the current one
+function migrate_tierlist(data) {
+	if (!data || typeof data !== 'object' || Array.isArray(data)) {
+		return data; // Left for validate_tierlist() to report
+	}
+	let version = data.version ?? 1;
+	if (!Number.isInteger(version) || version < 1) {
+		throw new Error(`Unknown format version ${JSON.stringify(data.version)}`);
 	}
+	if (version > FORMAT_VERSION) {
+		throw new Error(`This tierlist was saved by a newer version of the app (format version ${version})`);
+	}
+	for (; version < FORMAT_VERSION; ++version) {
+		data = FORMAT_MIGRATIONS[version - 1](data);
+	}
+	data.version = FORMAT_VERSION;
+	return data;
+}
 
-	resize_headers();
+function save_tierlist(filename) {
+	save(filename, JSON.stringify(serialize_tierlist_for_export()));
+}
 
-	unsaved_changes = false;
-	update_untiered_count();
+// Removes characters that would allow directory traversal or are invalid in filenames
+function sanitize_filename(name) {
+	return name.replace(/[<>:"/\\|?*\x00-\x1f]/g, '').substring(0, 200);
 }
 
-function rgb_to_hex(r, g, b) {
-	return "#" + (1 << 24 | r << 16 | g << 8 | b).toString(16).slice(1);
+// Like save(), but for binary content. Doesn't affect unsaved_changes.
+function download_blob(filename, blob) {
+	let url = URL.createObjectURL(blob);
+	let el = document.createElement('a');
+	el.setAttribute('href', url);
+	el.setAttribute('download', filename);
+	el.style.display = 'none';
+	document.body.appendChild(el);
+	el.click();
+	document.body.removeChild(el);
+	// Give the browser time to start the download before releasing the data
+	setTimeout(() => URL.revokeObjectURL(url), 1000);
 }
 
-// Returns the supplied item's index within a row
-// elem can be an img, item-container, or item span
-function get_item_index(elem) {
-	// If it's an item-container, find the containing item span
-	let item_elem = elem;
-	if (elem.classList && elem.classList.contains('item-container')) {
-		item_elem = elem.closest('.item') || elem.parentNode;
-	} else if (elem.tagName && elem.tagName.toUpperCase() === 'IMG') {
-		// If it's an img, find the item-container or item span
-		item_elem = elem.closest('.item-container') || elem.closest('.item') || elem.parentNode;
+// Shortens text with an ellipsis until it fits max_width when drawn with ctx's font
+function fit_text(ctx, text, max_width) {
+	if (ctx.measureText(text).width <= max_width) {
+		return text;
 	}
-	
-	let rows = Array.from(tierlist_div.querySelectorAll(".row"));
-	let parent_div = item_elem.parentNode;
-	while (parent_div && !parent_div.classList.contains('row') && !parent_div.classList.contains('bottom-container') && !parent_div.classList.contains('toggleable-container')) {
-		parent_div = parent_div.parentNode;
+	while (text.length > 0 && ctx.measureText(text + '…').width > max_width) {
+		text = text.substring(0, text.length - 1);
 	}
-	
-	if (!parent_div) return null;
-	
-	let idx = rows.indexOf(parent_div);
-	if (rows[idx] !== undefined) {
-		// Look for item-containers first, then fall back to img elements
-		let item_list = rows[idx].querySelectorAll(".item-container, .item > img, .item img");
-		for (let i = 0; i < item_list.length; i++) {
-			if (item_list[i] == elem || item_list[i].contains(elem) || (elem.classList && elem.classList.contains('item-container') && item_list[i] == elem)) {
-				return i;
-			}
-		}
-		// Fallback: check item spans
-		let item_spans = rows[idx].querySelectorAll(".item");
-		for (let i = 0; i < item_spans.length; i++) {
-			if (item_spans[i] == item_elem || item_spans[i].contains(elem)) {
+	return text + '…';
+}
+
+// Computes how a serialized tierlist is drawn as an image. Returns {width, height, ops}, where ops
+// are rects, (centered) texts and images in drawing order, shared by the PNG and SVG renderers.
+function layout_tierlist_image(serialized_tierlist, include_untiered) {
+	let measure_ctx = document.createElement('canvas').getContext('2d');
+	let ops = [];
+	let width = IMAGE_EXPORT_WIDTH;
+	let cell_width = IMAGE_EXPORT_ITEM_SIZE + IMAGE_EXPORT_GAP;
+	let cell_height = IMAGE_EXPORT_ITEM_SIZE + IMAGE_EXPORT_LABEL_HEIGHT + IMAGE_EXPORT_GAP;
+	let items_per_line = Math.max(1, Math.floor((width - IMAGE_EXPORT_HEADER_WIDTH - IMAGE_EXPORT_GAP) / cell_width));
+
+	function add_text(text, x, y, size, color, max_width) {
+		measure_ctx.font = `${size}px sans-serif`;
+		ops.push({ type: 'text', x: x, y: y, size: size, color: color, text: fit_text(measure_ctx, text, max_width) });
+	}
+
+	add_text(serialized_tierlist.title || '', width / 2, IMAGE_EXPORT_TITLE_HEIGHT / 2, 38, '#ddd', width);
+
+	let sections = serialized_tierlist.rows.map((row) => ({ name: row.name, color: row.color, items: row.imgs ?? [] }));
+	if (include_untiered && serialized_tierlist.untiered?.length > 0) {
+		sections.push({ name: 'Untiered', color: UNTIERED_COLOR, items: serialized_tierlist.untiered });
+	}
+
+	let y = IMAGE_EXPORT_TITLE_HEIGHT;
+	for (let section of sections) {
+		let lines = Math.max(1, Math.ceil(section.items.length / items_per_line));
+		let height = lines * cell_height + IMAGE_EXPORT_GAP;
+
+		ops.push({ type: 'rect', x: 0, y: y, w: width, h: 1, color: '#666' });
+		ops.push({ type: 'rect', x: 0, y: y + 1, w: IMAGE_EXPORT_HEADER_WIDTH, h: height - 1, color: section.color || UNTIERED_COLOR });
+		add_text(section.name || '', IMAGE_EXPORT_HEADER_WIDTH / 2, y + height / 2, 30, '#000', IMAGE_EXPORT_HEADER_WIDTH - 10);
+
+		section.items.forEach((item, i) => {
+			let x = IMAGE_EXPORT_HEADER_WIDTH + IMAGE_EXPORT_GAP + (i % items_per_line) * cell_width;
+			let item_y = y + IMAGE_EXPORT_GAP + Math.floor(i / items_per_line) * cell_height;
+			ops.push({ type: 'image', x: x, y: item_y, w: IMAGE_EXPORT_ITEM_SIZE, h: IMAGE_EXPORT_ITEM_SIZE, src: item_image_src(item) });
+			if (item.name) {
+				add_text(item.name, x + IMAGE_EXPORT_ITEM_SIZE / 2, item_y + IMAGE_EXPORT_ITEM_SIZE + IMAGE_EXPORT_LABEL_HEIGHT / 2, 11, '#ddd', IMAGE_EXPORT_ITEM_SIZE);
+			}
+		});
+		y += height;
+	}
+	ops.push({ type: 'rect', x: 0, y: y, w: width, h: 1, color: '#666' });
+
+	return { width: width, height: y + 1, ops: ops };
+}
+
+// Resolves with the loaded image, or null if it can't be decoded
+function load_image(src) {
+	return new Promise((resolve) => {
+		let img = new Image();
+		img.onload = () => resolve(img);
+		img.onerror = () => resolve(null);
+		img.src = src;
+	});
+}
+
+async function render_tierlist_png(layout) {
+	let canvas = document.createElement('canvas');
+	canvas.width = layout.width;
+	canvas.height = layout.height;
+	let ctx = canvas.getContext('2d');
+	ctx.fillStyle = IMAGE_EXPORT_BACKGROUND;
+	ctx.fillRect(0, 0, layout.width, layout.height);
+	ctx.textAlign = 'center';
+	ctx.textBaseline = 'middle';
+
+	let image_ops = layout.ops.filter((op) => op.type === 'image');
+	let images = await Promise.all(image_ops.map((op) => load_image(op.src)));
+	let loaded_images = new Map(image_ops.map((op, i) => [op, images[i]]));
+
+	for (let op of layout.ops) {
+		if (op.type === 'rect') {
+			ctx.fillStyle = op.color;
+			ctx.fillRect(op.x, op.y, op.w, op.h);
+		} else if (op.type === 'text') {
+			ctx.fillStyle = op.color;
+			ctx.font = `${op.size}px sans-serif`;
+			ctx.fillText(op.text, op.x, op.y);
+		} else if (op.type === 'image' && loaded_images.get(op)) {
+			// Fitted in its box with its aspect ratio, as on the board
+			let img = loaded_images.get(op);
+			let scale = Math.min(op.w / (img.naturalWidth || op.w), op.h / (img.naturalHeight || op.h));
+			let w = (img.naturalWidth || op.w) * scale;
+			let h = (img.naturalHeight || op.h) * scale;
+			ctx.drawImage(img, op.x + (op.w - w) / 2, op.y + (op.h - h) / 2, w, h);
+		}
+	}
+
+	return new Promise((resolve, reject) => {
+		canvas.toBlob((blob) => {
+			if (blob) {
+				resolve(blob);
+			} else {
+				reject(new Error('Failed to encode PNG'));
+			}
+		}, 'image/png');
+	});
+}
+
+function escape_xml(str) {
+	return String(str).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+// Returns the SVG markup for the layout. Images are embedded as they are (data URIs).
+function render_tierlist_svg(layout) {
+	let parts = [
+		`<svg xmlns='http://www.w3.org/2000/svg' width='${layout.width}' height='${layout.height}' viewBox='0 0 ${layout.width} ${layout.height}'>`,
+		`<rect width='100%' height='100%' fill='${IMAGE_EXPORT_BACKGROUND}'/>`
+	];
+	for (let op of layout.ops) {
+		if (op.type === 'rect') {
+			parts.push(`<rect x='${op.x}' y='${op.y}' width='${op.w}' height='${op.h}' fill='${escape_xml(op.color)}'/>`);
+		} else if (op.type === 'text') {
+			parts.push(`<text x='${op.x}' y='${op.y}' font-family='sans-serif' font-size='${op.size}' fill='${escape_xml(op.color)}' text-anchor='middle' dominant-baseline='central'>${escape_xml(op.text)}</text>`);
+		} else if (op.type === 'image') {
+			parts.push(`<image x='${op.x}' y='${op.y}' width='${op.w}' height='${op.h}' preserveAspectRatio='xMidYMid meet' href='${escape_xml(op.src)}'/>`);
+		}
+	}
+	parts.push('</svg>');
+	return parts.join('\n');
+}
+
+// Renders the current tierlist as a PNG or SVG image, then downloads it or copies it to the clipboard
+function export_tierlist_image(format, include_untiered, to_clipboard) {
+	let serialized_tierlist = serialize_tierlist();
+	let layout = layout_tierlist_image(serialized_tierlist, include_untiered);
+
+	let result;
+	try {
+		if (format === 'svg') {
+			let svg = render_tierlist_svg(layout);
+			if (to_clipboard) {
+				result = navigator.clipboard.writeText(svg);
+			} else {
+				download_blob(`${sanitize_filename(serialized_tierlist.title) || 'tierlist'}.svg`, new Blob([svg], { type: 'image/svg+xml' }));
+			}
+		} else {
+			let png = render_tierlist_png(layout);
+			if (to_clipboard) {
+				// Pass the pending blob so that the write happens while the click still counts as user activation
+				result = navigator.clipboard.write([new ClipboardItem({ 'image/png': png })]);
+			} else {
+				result = png.then((blob) => download_blob(`${sanitize_filename(serialized_tierlist.title) || 'tierlist'}.png`, blob));
+			}
+		}
+	} catch (e) {
+		// The clipboard API is missing (older browsers, or a page not served over HTTPS)
+		result = Promise.reject(e);
+	}
+	return Promise.resolve(result).catch((e) => {
+		console.error('Failed to export image:', e);
+		alert('Failed to export image: ' + (e.message || 'Unknown error'));
+	});
+}
+
+function bind_export_image_events() {
+	let dialog = document.getElementById('export-image-dialog');
+	let copy_button = dialog.querySelector('button[value=copy]');
+	// Copying a PNG needs ClipboardItem, an SVG only the clipboard API
+	let update_copy_button = () => {
+		let format = dialog.querySelector('input[name=image-format]:checked').value;
+		copy_button.disabled = !navigator.clipboard || (format !== 'svg' && typeof window.ClipboardItem === 'undefined');
+	};
+	dialog.querySelectorAll('input[name=image-format]').forEach((input) => input.addEventListener('change', update_copy_button));
+	document.getElementById('export-image-input').addEventListener('click', () => {
+		update_copy_button();
+		dialog.returnValue = '';
+		dialog.showModal();
+	});
+	dialog.addEventListener('close', () => {
+		let action = dialog.returnValue;
+		if (action !== 'download' && action !== 'copy') {
+			return;
+		}
+		let format = dialog.querySelector('input[name=image-format]:checked').value;
+		let include_untiered = document.getElementById('export-image-untiered').checked;
+		void export_tierlist_image(format, include_untiered, action === 'copy');
+	});
+}
+
+// Text exports, without images: file extension, mime type and function building the text
+const TEXT_EXPORT_FORMATS = {
+	csv: { extension: 'csv', type: 'text/csv', build: tierlist_to_csv },
+	markdown: { extension: 'md', type: 'text/markdown', build: tierlist_to_markdown },
+	text: { extension: 'txt', type: 'text/plain', build: tierlist_to_text },
+};
+
+// Returns the tiers of a serialized tierlist as [{name, items}], in order, followed by the untiered pool if wanted
+function get_text_export_sections(serialized_tierlist, include_untiered) {
+	let sections = serialized_tierlist.rows.map((row) => ({ name: row.name, items: row.imgs ?? [] }));
+	if (include_untiered) {
+		sections.push({ name: 'Untiered', items: serialized_tierlist.untiered ?? [] });
+	}
+	return sections;
+}
+
+function escape_csv_field(value) {
+	value = String(value);
+	return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+// One line per item: tier, position in the tier (from 1), name and notes
+function tierlist_to_csv(serialized_tierlist, include_untiered) {
+	let lines = [['tier', 'position', 'name', 'notes']];
+	for (let section of get_text_export_sections(serialized_tierlist, include_untiered)) {
+		section.items.forEach((item, i) => {
+			lines.push([section.name, i + 1, item.name, item.notes ?? '']);
+		});
+	}
+	return lines.map((fields) => fields.map(escape_csv_field).join(',')).join('\r\n') + '\r\n';
+}
+
+function escape_markdown(text) {
+	return text.replace(/[\\`*_\[\]<>|~]/g, '\\$&');
+}
+
+// Single line version of item notes, for the Markdown and plain text exports
+function inline_notes(item) {
+	return (item.notes ?? '').replace(/\s+/g, ' ').trim();
+}
+
+// A heading per tier, with its items as a numbered list
+function tierlist_to_markdown(serialized_tierlist, include_untiered) {
+	let lines = [`# ${escape_markdown(serialized_tierlist.title)}`];
+	for (let section of get_text_export_sections(serialized_tierlist, include_untiered)) {
+		lines.push('', `## ${escape_markdown(section.name)}`, '');
+		if (section.items.length === 0) {
+			lines.push('_No items_');
+		}
+		section.items.forEach((item, i) => {
+			let notes = inline_notes(item);
+			lines.push(`${i + 1}. ${escape_markdown(item.name || '(unnamed)')}${notes ? ` — ${escape_markdown(notes)}` : ''}`);
+		});
+	}
+	return lines.join('\n') + '\n';
+}
+
+function tierlist_to_text(serialized_tierlist, include_untiered) {
+	let lines = [serialized_tierlist.title];
+	for (let section of get_text_export_sections(serialized_tierlist, include_untiered)) {
+		lines.push('', `${section.name}:`);
+		if (section.items.length === 0) {
+			lines.push('  (no items)');
+		}
+		section.items.forEach((item, i) => {
+			let notes = inline_notes(item);
+			lines.push(`  ${i + 1}. ${item.name || '(unnamed)'}${notes ? ` - ${notes}` : ''}`);
+		});
+	}
+	return lines.join('\n') + '\n';
+}
+
+// Exports the ranking (names and notes, no images) as CSV, Markdown or plain text
+function export_tierlist_text(format, include_untiered, to_clipboard) {
+	let serialized_tierlist = serialize_tierlist();
+	let { extension, type, build } = TEXT_EXPORT_FORMATS[format];
+	let text = build(serialized_tierlist, include_untiered);
+
+	let result;
+	try {
+		if (to_clipboard) {
+			result = navigator.clipboard.writeText(text);
+		} else {
+			// The byte order mark lets spreadsheet software detect UTF-8 (for Cyrillic and Armenian names)
+			let content = format === 'csv' ? ['\ufeff', text] : [text];
+			download_blob(`${sanitize_filename(serialized_tierlist.title) || 'tierlist'}.${extension}`, new Blob(content, { type: `${type};charset=utf-8` }));
+		}
+	} catch (e) {
+		// The clipboard API is missing (older browsers, or a page not served over HTTPS)
+		result = Promise.reject(e);
+	}
+	return Promise.resolve(result).catch((e) => {
+		console.error('Failed to export text:', e);
+		alert('Failed to export text: ' + (e.message || 'Unknown error'));
+	});
+}
+
+// Lists the files of a ZIP archive as [{path, get_blob}], without reading them yet.
+// Only stored and deflated files are supported (not ZIP64 nor encrypted archives).
+async function read_zip(blob) {
+	let read_bytes = async (start, end) => new DataView(await blob.slice(start, end).arrayBuffer());
+	// The end of central directory record is at the end, possibly followed by a comment of up to 64KB
+	let tail_start = Math.max(0, blob.size - 22 - 0xffff);
+	let tail = await read_bytes(tail_start, blob.size);
+	let eocd = -1;
+	for (let i = tail.byteLength - 22; i >= 0; --i) {
+		if (tail.getUint32(i, true) === 0x06054b50) {
+			eocd = i;
+			break;
+		}
+	}
+	if (eocd < 0) {
+		throw new Error('Not a ZIP file');
+	}
+	let entry_count = tail.getUint16(eocd + 10, true);
+	let directory_size = tail.getUint32(eocd + 12, true);
+	let directory_offset = tail.getUint32(eocd + 16, true);
+	if (entry_count === 0xffff || directory_offset === 0xffffffff) {
+		throw new Error('ZIP64 archives are not supported');
+	}
+
+	let directory = await read_bytes(directory_offset, directory_offset + directory_size);
+	let decoder = new TextDecoder();
+	let entries = [];
+	let pos = 0;
+	for (let i = 0; i < entry_count; ++i) {
+		if (directory.getUint32(pos, true) !== 0x02014b50) {
+			throw new Error('Corrupted ZIP file');
+		}
+		let flags = directory.getUint16(pos + 8, true);
+		let method = directory.getUint16(pos + 10, true);
+		let compressed_size = directory.getUint32(pos + 20, true);
+		let name_length = directory.getUint16(pos + 28, true);
+		let extra_length = directory.getUint16(pos + 30, true);
+		let comment_length = directory.getUint16(pos + 32, true);
+		let header_offset = directory.getUint32(pos + 42, true);
+		let path = decoder.decode(new Uint8Array(directory.buffer, directory.byteOffset + pos + 46, name_length));
+		pos += 46 + name_length + extra_length + comment_length;
+
+		// Skip directories and encrypted files
+		if (path.endsWith('/') || (flags & 1)) {
+			continue;
+		}
+		entries.push({
+			path: path,
+			get_blob: async () => {
+				let header = await read_bytes(header_offset, header_offset + 30);
+				let data_start = header_offset + 30 + header.getUint16(26, true) + header.getUint16(28, true);
+				let data = blob.slice(data_start, data_start + compressed_size);
+				if (method === 0) {
+					return data;
+				}
+				if (method !== 8) {
+					throw new Error(`Unsupported ZIP compression method ${method}`);
+				}
+				if (typeof DecompressionStream === 'undefined') {
+					throw new Error("This browser can't decompress ZIP files");
+				}
+				return new Response(data.stream().pipeThrough(new DecompressionStream('deflate-raw'))).blob();
+			},
+		});
+	}
+	return entries;
+}
+
+// Lists the files of a dropped folder (a FileSystemDirectoryEntry), recursively, as [{path, get_blob}]
+async function read_directory_entry(directory) {
+	let entries = [];
+	let reader = directory.createReader();
+	// readEntries() returns the entries in batches, until an empty one
+	for (;;) {
+		let batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+		if (batch.length === 0) {
+			break;
+		}
+		for (let entry of batch) {
+			if (entry.isDirectory) {
+				entries.push(...await read_directory_entry(entry));
+			} else {
+				entries.push({
+					path: entry.fullPath.replace(/^\//, ''),
+					get_blob: () => new Promise((resolve, reject) => entry.file(resolve, reject)),
+				});
+			}
+		}
+	}
+	return entries;
+}
+
+// Expands the ZIP files among a list of [{path, get_blob}] into their content
+async function expand_zip_entries(entries) {
+	let expanded = [];
+	for (let entry of entries) {
+		if (/\.zip$/i.test(entry.path)) {
+			let prefix = entry.path.replace(/[^/]*$/, '');
+			for (let zip_entry of await read_zip(await entry.get_blob())) {
+				expanded.push({ path: prefix + zip_entry.path, get_blob: zip_entry.get_blob });
+			}
+		} else {
+			expanded.push(entry);
+		}
+	}
+	return expanded;
+}
+
+function read_blob_as_data_url(blob) {
+	return new Promise((resolve, reject) => {
+		let reader = new FileReader();
+		reader.addEventListener('load', () => resolve(reader.result));
+		reader.addEventListener('error', () => reject(reader.error));
+		reader.readAsDataURL(blob);
+	});
+}
+
+// Returns the items span of the row with the given name (ignoring case), if any
+function find_row_items_by_name(name) {
+	name = name.trim().toLowerCase();
+	let header = all_headers.find(([_header, _i, label]) => label.innerText.trim().toLowerCase() === name);
+	return header ? header[0].parentNode.querySelector('.items') : null;
+}
+
+// Adds every image of a list of [{path, get_blob}] (files, and the content of ZIP files), named from its
+// filename. With auto_place, images in a folder named like a row (e.g. 'S/logo.png') are put in that row.
+// The whole import is a single undoable step.
+async function import_image_entries(entries, auto_place) {
+	entries = await expand_zip_entries(entries);
+	let result = { added: 0, placed: 0, duplicates: 0, failed: 0 };
+	let moves = [];
+	for (let entry of entries) {
+		let parts = entry.path.split('/');
+		let filename = parts[parts.length - 1];
+		let extension = filename.includes('.') ? filename.split('.').pop().toLowerCase() : '';
+		// Skip non-images and hidden files (like the ones of __MACOSX/)
+		if (!IMAGE_EXTENSION_TYPES[extension] || parts.some((part) => part.startsWith('.') || part === '__MACOSX')) {
+			continue;
+		}
+		try {
+			let blob = await entry.get_blob();
+			if (blob.size > MAX_FILE_SIZE) {
+				throw new Error(`${entry.path} is too large (max 10MB)`);
+			}
+			let src = await make_thumbnail(await read_blob_as_data_url(new Blob([blob], { type: IMAGE_EXTENSION_TYPES[extension] })));
+			let name = sanitize_item_name(filename.replace(/\.[^/.]+$/, ''));
+			if (!accept_duplicate_image(src, name)) {
+				result.duplicates++;
+				continue;
+			}
+			let container = create_item_with_src_and_name(src, name);
+			moves.push(...begin_item_moves([container]));
+			let row_items = auto_place && parts.length > 1 ? find_row_items_by_name(parts[parts.length - 2]) : null;
+			if (row_items) {
+				place_item(container, { parent: row_items, index: row_items.children.length });
+				result.placed++;
+			} else {
+				untiered_images.appendChild(container);
+			}
+			result.added++;
+		} catch (e) {
+			console.error(`Failed to import ${entry.path}:`, e);
+			result.failed++;
+		}
+	}
+	if (record_item_moves(moves)) {
+		mark_unsaved();
+	}
+	update_untiered_count();
+	return result;
+}
+
+function report_image_import(result) {
+	if (result.added === 0 && result.duplicates === 0 && result.failed === 0) {
+		alert('No images were found to import.');
+		return;
+	}
+	let message = `Imported ${result.added} image${result.added === 1 ? '' : 's'}`;
+	if (result.placed > 0) {
+		message += `, ${result.placed} of them placed into tiers`;
+	}
+	message += '.';
+	if (result.duplicates > 0) {
+		message += ` Skipped ${result.duplicates} duplicate${result.duplicates === 1 ? '' : 's'}.`;
+	}
+	if (result.failed > 0) {
+		message += ` ${result.failed} file${result.failed === 1 ? '' : 's'} could not be imported (see the console).`;
+	}
+	alert(message);
+}
+
+function run_image_import(entries) {
+	return import_image_entries(entries, settings.bulk_import_auto_place).then(report_image_import).catch((e) => {
+		console.error('Failed to import images:', e);
+		alert('Failed to import images: ' + (e.message || 'Unknown error'));
+	});
+}
+
+// Files picked with a file input, as [{path, get_blob}]
+function get_input_file_entries(input) {
+	return Array.from(input.files, (file) => ({
+		path: file.webkitRelativePath || file.name,
+		get_blob: async () => file,
+	}));
+}
+
+function bind_bulk_import_events() {
+	let dialog = document.getElementById('bulk-import-dialog');
+	let form = dialog.querySelector('form');
+	let zip_input = document.getElementById('bulk-zip-input');
+	let folder_input = document.getElementById('bulk-folder-input');
+	document.getElementById('bulk-import-input').addEventListener('click', () => {
+		fill_settings_form(form);
+		dialog.showModal();
+	});
+	form.addEventListener('change', () => {
+		read_settings_form(form);
+		store_settings();
+	});
+	document.getElementById('bulk-zip-button').addEventListener('click', () => {
+		dialog.close();
+		zip_input.click();
+	});
+	document.getElementById('bulk-folder-button').addEventListener('click', () => {
+		dialog.close();
+		folder_input.click();
+	});
+	for (let input of [zip_input, folder_input]) {
+		input.addEventListener('input', () => {
+			let entries = get_input_file_entries(input);
+			// Reset input to allow selecting the same files again
+			input.value = '';
+			void run_image_import(entries);
+		});
+	}
+
+	// Files, ZIP files and folders can also be dropped anywhere on the page.
+	// Tierlist files dropped that way go through the regular import instead.
+	let is_file_drag = (evt) => !dragged_image && evt.dataTransfer && Array.from(evt.dataTransfer.types).includes('Files');
+	document.addEventListener('dragover', (evt) => {
+		if (is_file_drag(evt)) {
+			evt.preventDefault();
+		}
+	});
+	document.addEventListener('drop', (evt) => {
+		if (!is_file_drag(evt)) {
+			return;
+		}
+		evt.preventDefault();
+		placement_marker_div?.remove();
+		// The dropped items are only accessible during the event
+		let directories = [];
+		let files = [];
+		for (let item of evt.dataTransfer.items) {
+			let entry = item.webkitGetAsEntry?.();
+			if (entry && entry.isDirectory) {
+				directories.push(entry);
+			} else if (item.kind === 'file') {
+				files.push(item.getAsFile());
+			}
+		}
+		void Promise.all(directories.map(read_directory_entry)).then(async (lists) => {
+			let tierlist_files = [];
+			let entries = [];
+			for (let file of files) {
+				if (await is_tierlist_file(file)) {
+					tierlist_files.push(file);
+				} else {
+					entries.push({ path: file.name, get_blob: async () => file });
+				}
+			}
+			entries = entries.concat(...lists);
+			if (tierlist_files.length > 0) {
+				await import_tierlist_files(tierlist_files);
+			}
+			if (entries.length > 0 || tierlist_files.length === 0) {
+				await run_image_import(entries);
+			}
+		}).catch((e) => {
+			console.error('Failed to read dropped folder:', e);
+			alert('Failed to read dropped folder: ' + (e.message || 'Unknown error'));
+		});
+	});
+}
+
+let crc32_table;
+
+function crc32(bytes) {
+	if (crc32_table === undefined) {
+		crc32_table = new Uint32Array(256);
+		for (let i = 0; i < 256; ++i) {
+			let c = i;
+			for (let k = 0; k < 8; ++k) {
+				c = (c & 1) ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+			}
+			crc32_table[i] = c;
+		}
+	}
+	let crc = 0xffffffff;
+	for (let i = 0; i < bytes.length; ++i) {
+		crc = crc32_table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+	}
+	return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Builds a ZIP archive of [{path, bytes}]. Files are stored without compression: images already are compressed.
+function make_zip(files) {
+	let encoder = new TextEncoder();
+	let parts = [];
+	let directory = [];
+	let offset = 0;
+	let now = new Date();
+	let dos_time = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+	let dos_date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+	for (let file of files) {
+		let name = encoder.encode(file.path);
+		let crc = crc32(file.bytes);
+		// Fields shared by the local header and the central directory entry, from "version needed" to the name length
+		let common = new DataView(new ArrayBuffer(26));
+		common.setUint16(0, 20, true); // Version needed to extract
+		common.setUint16(2, 0x0800, true); // Flags: UTF-8 names
+		common.setUint16(4, 0, true); // Stored
+		common.setUint16(6, dos_time, true);
+		common.setUint16(8, dos_date, true);
+		common.setUint32(10, crc, true);
+		common.setUint32(14, file.bytes.length, true);
+		common.setUint32(18, file.bytes.length, true);
+		common.setUint16(22, name.length, true);
+		common.setUint16(24, 0, true); // Extra field length
+
+		let local = new Uint8Array(30 + name.length);
+		new DataView(local.buffer).setUint32(0, 0x04034b50, true);
+		local.set(new Uint8Array(common.buffer), 4);
+		local.set(name, 30);
+		parts.push(local, file.bytes);
+
+		let entry = new Uint8Array(46 + name.length);
+		let entry_view = new DataView(entry.buffer);
+		entry_view.setUint32(0, 0x02014b50, true);
+		entry_view.setUint16(4, 20, true); // Version made by
+		entry.set(new Uint8Array(common.buffer), 6);
+		entry_view.setUint32(42, offset, true);
+		entry.set(name, 46);
+		directory.push(entry);
+
+		offset += local.length + file.bytes.length;
+	}
+	let directory_size = directory.reduce((size, entry) => size + entry.length, 0);
+	let end = new DataView(new ArrayBuffer(22));
+	end.setUint32(0, 0x06054b50, true);
+	end.setUint16(8, files.length, true);
+	end.setUint16(10, files.length, true);
+	end.setUint32(12, directory_size, true);
+	end.setUint32(16, offset, true);
+	return new Blob(parts.concat(directory, [new Uint8Array(end.buffer)]), { type: 'application/zip' });
+}
+
+// Name of the manifest of tierlist bundles (see data/JSON_SCHEMA.md)
+const BUNDLE_MANIFEST = 'tierlist.json';
+const BUNDLE_IMAGES_DIR = 'images/';
+
+// File extension of a bundled image: the usual one for its type, or else its MIME subtype
+// (with dots turned into underscores, e.g. image/vnd.microsoft.icon -> vnd_microsoft_icon)
+function get_bundle_image_extension(type) {
+	let extension = Object.keys(IMAGE_EXTENSION_TYPES).find((ext) => IMAGE_EXTENSION_TYPES[ext] === type);
+	return extension ?? type.replace(/^[^/]*\//, '').toLowerCase().replace(/[^a-z0-9+-]/g, '_');
+}
+
+// Type of a bundled image, from the extension given by get_bundle_image_extension()
+function get_bundle_image_type(extension) {
+	return IMAGE_EXTENSION_TYPES[extension] ?? `image/${extension.replace(/_/g, '.')}`;
+}
+
+// Builds a tierlist bundle: a ZIP file with the tierlist in tierlist.json, referencing its images
+// by their path in the images/ folder instead of embedding them. Identical images are stored once.
+function bundle_tierlist(serialized_tierlist) {
+	let files = [];
+	let paths = new Map();
+	let bundle_item = (item) => {
+		if (item.type === 'text') {
+			return item;
+		}
+		let path = paths.get(item.src);
+		if (path === undefined) {
+			let { type, bytes } = data_url_to_bytes(item.src);
+			let extension = get_bundle_image_extension(type);
+			let slug = sanitize_filename(item.name).replace(/\s+/g, '_').substring(0, 50);
+			path = `${BUNDLE_IMAGES_DIR}${String(paths.size + 1).padStart(4, '0')}${slug ? '-' + slug : ''}.${extension}`;
+			paths.set(item.src, path);
+			files.push({ path: path, bytes: bytes });
+		}
+		return Object.assign({}, item, { src: path });
+	};
+	let manifest = Object.assign({}, serialized_tierlist, {
+		rows: serialized_tierlist.rows.map((row) => Object.assign({}, row, { imgs: row.imgs.map(bundle_item) })),
+	});
+	if (serialized_tierlist.untiered) {
+		manifest.untiered = serialized_tierlist.untiered.map(bundle_item);
+	}
+	if (serialized_tierlist.trash) {
+		manifest.trash = serialized_tierlist.trash.map((entry) => Object.assign({}, entry, { item: bundle_item(entry.item) }));
+	}
+	files.unshift({ path: BUNDLE_MANIFEST, bytes: new TextEncoder().encode(JSON.stringify(manifest, null, 2)) });
+	return make_zip(files);
+}
+
+// Reads a tierlist bundle back into the single file format, with the images as data URIs.
+// Images that can't be found are left as they are, for validate_tierlist() to report.
+async function read_tierlist_bundle(blob) {
+	let entries = new Map((await read_zip(blob)).map((entry) => [entry.path, entry]));
+	let manifest_entry = entries.get(BUNDLE_MANIFEST);
+	if (!manifest_entry) {
+		throw new Error(`This ZIP file has no ${BUNDLE_MANIFEST}`);
+	}
+	let data = JSON.parse(await (await manifest_entry.get_blob()).text());
+	if (!data || typeof data !== 'object') {
+		throw new Error('Invalid JSON format');
+	}
+	let item_lists = Array.isArray(data.rows) ? data.rows.map((row) => row?.imgs) : [];
+	item_lists.push(data.untiered);
+	if (Array.isArray(data.trash)) {
+		item_lists.push(data.trash.map((entry) => entry?.item));
+	}
+	for (let items of item_lists.filter(Array.isArray)) {
+		for (let item of items) {
+			if (!item || typeof item.src !== 'string' || item.src.startsWith('data:')) {
+				continue;
+			}
+			let path = item.src.replace(/^\.\//, '');
+			let entry = entries.get(path);
+			if (entry) {
+				let extension = path.split('.').pop().toLowerCase();
+				let image = await entry.get_blob();
+				item.src = await read_blob_as_data_url(new Blob([image], { type: get_bundle_image_type(extension) }));
+			}
+		}
+	}
+	return data;
+}
+
+// Parses a tierlist file, either a single JSON file or a bundle (recognized by the ZIP signature)
+async function read_tierlist_file(blob) {
+	let signature = new Uint8Array(await blob.slice(0, 4).arrayBuffer());
+	if (signature[0] === 0x50 && signature[1] === 0x4b && signature[2] === 3 && signature[3] === 4) {
+		return read_tierlist_bundle(blob);
+	}
+	let data = JSON.parse(await blob.text());
+	if (!data || typeof data !== 'object') {
+		throw new Error('Invalid JSON format');
+	}
+	return data;
+}
+
+// Asks whether imported files replace the current tierlist or are merged into it.
+// Resolves to 'replace', 'merge' or '' if cancelled. Several files can only be merged.
+function choose_import_mode(files) {
+	let dialog = document.getElementById('import-mode-dialog');
+	document.getElementById('import-mode-files').textContent = files.length === 1 ?
+		`Importing ${files[0].name}.` : `Importing ${files.length} files.`;
+	dialog.querySelector('button[value=replace]').disabled = files.length > 1;
+	return new Promise((resolve) => {
+		dialog.addEventListener('close', () => resolve(dialog.returnValue), { once: true });
+		dialog.returnValue = '';
+		dialog.showModal();
+	});
+}
+
+// Replaces the current tierlist with a tierlist file, or merges the files into it, as the user chooses
+function import_tierlist_files(files) {
+	return choose_import_mode(files).then((mode) => {
+		if (mode === 'merge') {
+			return merge_tierlist_files(files).then(show_merge_report);
+		}
+		if (mode !== 'replace') {
+			return;
+		}
+		return read_tierlist_file(files[0]).then((parsed) => {
+			return import_tierlist(parsed).catch((e) => {
+				alert("Failed to load tierlist: " + (e.message || "Unknown error"));
+				console.error("Tierlist load error:", e);
+			});
+		}, (e) => {
+			alert("Failed to parse data: " + (e.message || "Invalid JSON"));
+			console.error("Tierlist parse error:", e);
+		});
+	}).catch((e) => {
+		alert("Failed to merge tierlists: " + (e.message || "Unknown error"));
+		console.error("Tierlist merge error:", e);
+	});
+}
+
+// Tells if a dropped file is a tierlist (a JSON file, or a bundle holding its manifest) rather than images
+async function is_tierlist_file(file) {
+	if (/\.json$/i.test(file.name)) {
+		return true;
+	}
+	if (!/\.zip$/i.test(file.name)) {
+		return false;
+	}
+	try {
+		return (await read_zip(file)).some((entry) => entry.path === BUNDLE_MANIFEST);
+	} catch (e) {
+		// Let the image import report it
+		return false;
+	}
+}
+
+// Key used to match items by name when merging
+function merge_name_key(name) {
+	return normalize_search_text(name.trim());
+}
+
+// Name of the tier an item is in, or null if it's untiered
+function get_item_tier_name(container) {
+	let row = container.closest('.row');
+	return row ? row.querySelector('.header label').innerText : null;
+}
+
+// Merges tierlist files into the current tierlist, as a single undoable step.
+// Rows are matched by name (new ones are appended), and items already on the board (same name or
+// same image) are not added again: they are reported as conflicts if the file puts them in another tier.
+// Resolves to a report of {added, added_rows, skipped, conflicts, problems}, as readable strings.
+async function merge_tierlist_files(files) {
+	let report = { added: [], added_rows: [], skipped: [], conflicts: [], problems: [] };
+	let moves = [];
+	let added_rows = [];
+
+	// Items on the board, by name key and by image hash
+	let by_name = new Map();
+	let by_hash = new Map();
+	let index_item = (container) => {
+		let key = merge_name_key(container.querySelector('.item-label').textContent);
+		if (key !== '' && !by_name.has(key)) {
+			by_name.set(key, container);
+		}
+		if (!container.classList.contains('text-item') && !by_hash.has(get_item_hash(container))) {
+			by_hash.set(get_item_hash(container), container);
+		}
+	};
+	document.querySelectorAll('.item-container').forEach(index_item);
+	let find_existing = (item) => {
+		let existing = by_name.get(merge_name_key(item.name));
+		if (!existing && item.type !== 'text') {
+			existing = by_hash.get(hash_image_src(item.src));
+		}
+		return existing;
+	};
+
+	for (let file of files) {
+		let data;
+		try {
+			data = migrate_tierlist(await read_tierlist_file(file));
+		} catch (e) {
+			report.problems.push(`${file.name}: ${e.message || 'could not be read'}`);
+			continue;
+		}
+		let { problems, valid } = validate_tierlist(data);
+		report.problems.push(...problems.map((problem) => `${file.name}: ${problem}`));
+		await thumbnail_tierlist(valid);
+
+		let sections = valid.rows.map((row) => ({ row: row, items: row.imgs }));
+		sections.push({ row: null, items: valid.untiered ?? [] });
+		for (let section of sections) {
+			let tier_name = section.row ? section.row.name : null;
+			let target = untiered_images;
+			if (section.row) {
+				target = find_row_items_by_name(tier_name);
+				if (!target) {
+					let row = add_row(tierlist_div.children.length, tier_name);
+					let header = row.querySelector('.header');
+					header.style.backgroundColor = section.row.color;
+					header.querySelector('.row-color-picker').value = section.row.color;
+					added_rows.push(row);
+					report.added_rows.push(`"${tier_name}" (from ${file.name})`);
+					target = row.querySelector('.items');
+				}
+			}
+
+			for (let item of section.items) {
+				let label = item.name ? `"${item.name}"` : 'An unnamed item';
+				let existing = find_existing(item);
+				if (existing) {
+					let existing_tier = get_item_tier_name(existing);
+					// Rows are matched by name ignoring case, so the rows themselves are compared
+					if (tier_name !== null && existing_tier !== null && get_item_list(existing) !== target) {
+						report.conflicts.push(`${label} is in tier "${existing_tier}", but in tier "${tier_name}" in ${file.name}`);
+					} else {
+						report.skipped.push(`${label} (already in ${describe_item_location(existing)})`);
+					}
+					continue;
+				}
+				let container = create_item_from_data(item);
+				moves.push(...begin_item_moves([container]));
+				place_item(container, { parent: target, index: target.children.length });
+				index_item(container);
+				report.added.push(`${label} to ${tier_name === null ? 'the untiered pool' : `tier "${tier_name}"`} (from ${file.name})`);
+			}
+		}
+	}
+
+	moves.forEach((move) => {
+		move.to = get_item_position(move.container);
+	});
+	if (moves.length > 0 || added_rows.length > 0) {
+		let header_entries;
+		push_history({
+			undo: () => {
+				restore_item_positions(moves, 'from');
+				header_entries = added_rows.map((row) => {
+					tierlist_div.removeChild(row);
+					return remove_header_entry(row);
+				});
+			},
+			redo: () => {
+				added_rows.forEach((row, i) => {
+					tierlist_div.appendChild(row);
+					insert_header_entry(row, header_entries[i]);
+				});
+				restore_item_positions(moves, 'to');
+			}
+		});
+		resize_headers();
+		mark_unsaved();
+	}
+	update_untiered_count();
+	return report;
+}
+
+function show_merge_report(report) {
+	const MAX_SHOWN_LINES = 100;
+	let dialog = document.getElementById('merge-dialog');
+	let summary = [
+		`Added ${report.added.length} item${report.added.length === 1 ? '' : 's'} and ${report.added_rows.length} tier${report.added_rows.length === 1 ? '' : 's'}`,
+		`skipped ${report.skipped.length} item${report.skipped.length === 1 ? '' : 's'} already on the board`,
+		`${report.conflicts.length} conflict${report.conflicts.length === 1 ? '' : 's'}`,
+	];
+	if (report.problems.length > 0) {
+		summary.push(`${report.problems.length} problem${report.problems.length === 1 ? '' : 's'}`);
+	}
+	document.getElementById('merge-summary').textContent = summary.join(', ') + '.';
+
+	for (let [key, lines] of [['added', report.added_rows.map((row) => `Tier ${row}`).concat(report.added)],
+			['skipped', report.skipped], ['conflicts', report.conflicts], ['problems', report.problems]]) {
+		let section = document.getElementById(`merge-${key}`);
+		let list = section.querySelector('ul');
+		while (list.firstChild) {
+			list.removeChild(list.firstChild);
+		}
+		let shown = lines.slice(0, MAX_SHOWN_LINES);
+		if (lines.length > MAX_SHOWN_LINES) {
+			shown.push(`…and ${lines.length - MAX_SHOWN_LINES} more`);
+		}
+		for (let line of shown) {
+			let li = document.createElement('li');
+			li.textContent = line;
+			list.appendChild(li);
+		}
+		section.hidden = lines.length === 0;
+	}
+	dialog.showModal();
+}
+
+// Key identifying the same item in different tierlists: its name, or its image if it has none
+function compare_item_key(item) {
+	let name_key = merge_name_key(item.name ?? '');
+	if (name_key !== '') {
+		return 'name:' + name_key;
+	}
+	return item.type === 'text' || typeof item.src !== 'string' ? null : 'image:' + hash_image_src(item.src);
+}
+
+// Ranks of values (1 for the smallest), tied values getting the average of their ranks
+function average_ranks(values) {
+	let order = values.map((value, i) => i).sort((a, b) => values[a] - values[b]);
+	let ranks = new Array(values.length);
+	for (let start = 0; start < order.length;) {
+		let end = start;
+		while (end + 1 < order.length && values[order[end + 1]] === values[order[start]]) {
+			end++;
+		}
+		for (let i = start; i <= end; ++i) {
+			ranks[order[i]] = (start + end) / 2 + 1;
+		}
+		start = end + 1;
+	}
+	return ranks;
+}
+
+// Spearman's rank correlation (with ties), or null if it's undefined (less than 2 values, or all tied)
+function rank_correlation(xs, ys) {
+	if (xs.length < 2) {
+		return null;
+	}
+	let rx = average_ranks(xs);
+	let ry = average_ranks(ys);
+	let mean = (rx.length + 1) / 2;
+	let cov = 0, var_x = 0, var_y = 0;
+	for (let i = 0; i < rx.length; ++i) {
+		cov += (rx[i] - mean) * (ry[i] - mean);
+		var_x += (rx[i] - mean) ** 2;
+		var_y += (ry[i] - mean) ** 2;
+	}
+	return var_x === 0 || var_y === 0 ? null : cov / Math.sqrt(var_x * var_y);
+}
+
+// Compares where two serialized tierlists put their items. Tiers are compared by position (first row,
+// second row...). Returns {items, common, same_tier, correlation}: items as [{name, a, b, difference}],
+// a and b being {tier, tier_name} (tier null if untiered, or undefined if missing), sorted by decreasing
+// disagreement, and the statistics over the items ranked in both lists.
+function compare_tierlists(tierlist_a, tierlist_b) {
+	let by_key = new Map();
+	for (let [side, tierlist] of [['a', tierlist_a], ['b', tierlist_b]]) {
+		for (let { item, tier } of list_tierlist_items(tierlist)) {
+			let key = compare_item_key(item);
+			if (key === null) {
+				continue;
+			}
+			if (!by_key.has(key)) {
+				by_key.set(key, { name: item.name });
+			}
+			let entry = by_key.get(key);
+			if (entry[side] === undefined) {
+				entry[side] = { tier: tier, tier_name: tier === null ? null : tierlist.rows[tier].name };
+			}
+		}
+	}
+
+	let items = Array.from(by_key.values());
+	let common = items.filter((entry) => entry.a?.tier != null && entry.b?.tier != null);
+	common.forEach((entry) => {
+		entry.difference = entry.b.tier - entry.a.tier;
+	});
+	items.sort((x, y) => {
+		let dx = x.difference === undefined ? -1 : Math.abs(x.difference);
+		let dy = y.difference === undefined ? -1 : Math.abs(y.difference);
+		return dy - dx || x.name.localeCompare(y.name);
+	});
+	return {
+		items: items,
+		common: common.length,
+		same_tier: common.filter((entry) => entry.difference === 0).length,
+		correlation: rank_correlation(common.map((entry) => entry.a.tier), common.map((entry) => entry.b.tier)),
+	};
+}
+
+async function read_comparable_tierlist(file) {
+	let { problems, valid } = validate_tierlist(migrate_tierlist(await read_tierlist_file(file)));
+	if (problems.length > 0) {
+		console.warn(`Tierlist validation problems in ${file.name}:`, problems);
+	}
+	return valid;
+}
+
+function show_comparison(tierlist_a, tierlist_b) {
+	let result = compare_tierlists(tierlist_a, tierlist_b);
+	let describe_tier = (side) => side === undefined ? '(missing)' : side.tier === null ? '(untiered)' : side.tier_name;
+	let score = result.correlation === null ? 'n/a' : result.correlation.toFixed(2);
+	document.getElementById('compare-title-a').textContent = tierlist_a.title;
+	document.getElementById('compare-title-b').textContent = tierlist_b.title;
+	document.getElementById('compare-score').textContent = result.common === 0 ?
+		'No item is ranked in both tierlists.' :
+		`Agreement: ${score} (rank correlation, from -1 to 1) over the ${result.common} items ranked in both tierlists, ` +
+		`${Math.round(100 * result.same_tier / result.common)}% of them in the same tier.`;
+
+	let list = document.getElementById('compare-list');
+	while (list.firstChild) {
+		list.removeChild(list.firstChild);
+	}
+	for (let entry of result.items) {
+		let tr = document.createElement('tr');
+		let difference = entry.difference === undefined ? '' :
+			entry.difference === 0 ? '=' : (entry.difference > 0 ? '+' : '') + entry.difference;
+		for (let text of [entry.name || '(unnamed)', describe_tier(entry.a), describe_tier(entry.b), difference]) {
+			let td = document.createElement('td');
+			td.textContent = text;
+			tr.appendChild(td);
+		}
+		// The biggest disagreements are highlighted
+		if (entry.difference !== undefined && Math.abs(entry.difference) >= 2) {
+			tr.classList.add('disagreement');
+		}
+		list.appendChild(tr);
+	}
+	document.getElementById('compare-results').hidden = false;
+}
+
+function bind_compare_events() {
+	let dialog = document.getElementById('compare-dialog');
+	let file_a = document.getElementById('compare-file-a');
+	let file_b = document.getElementById('compare-file-b');
+	document.getElementById('compare-input').addEventListener('click', () => {
+		dialog.showModal();
+	});
+	document.getElementById('compare-run-input').addEventListener('click', () => {
+		if (file_a.files.length === 0 || file_b.files.length === 0) {
+			alert('Please choose the two tierlists to compare');
+			return;
+		}
+		Promise.all([read_comparable_tierlist(file_a.files[0]), read_comparable_tierlist(file_b.files[0])]).then(([a, b]) => {
+			show_comparison(a, b);
+		}).catch((e) => {
+			console.error('Failed to compare tierlists:', e);
+			alert('Failed to compare tierlists: ' + (e.message || 'Unknown error'));
+		});
+	});
+}
+
+const CONSENSUS_METHODS = ['mean', 'median', 'borda'];
+
+function median(values) {
+	let sorted = values.slice().sort((a, b) => a - b);
+	let middle = Math.floor(sorted.length / 2);
+	return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Rounds a fractional tier position, halfway values going to the better (lower) or worse tier
+function round_tier(value, tie_break) {
+	let floor = Math.floor(value);
+	if (value - floor === 0.5) {
+		return tie_break === 'worse' ? floor + 1 : floor;
+	}
+	return Math.round(value);
+}
+
+// Builds a consensus from several serialized tierlists, as a new serialized tierlist.
+// Items are matched like in compare_tierlists(), and tiers by position (the names and colors are the ones
+// of the first list having each tier). Only the lists ranking an item count for it. Its tier is:
+// - 'mean' or 'median': the mean or median of its tiers, rounded (halfway according to tie_break)
+// - 'borda': its Borda score (average share of the items it's ranked above), the best scores filling the tiers
+//   in the average proportions of the lists. Items with the same score get the same tier, per tie_break.
+// In a tier, items are ordered by score, then by number of lists ranking them. Each item gets its
+// spread (best to worst tier). Items that no list ranks stay untiered.
+function build_consensus_tierlist(tierlists, method, tie_break) {
+	let rows = [];
+	for (let tierlist of tierlists) {
+		tierlist.rows.forEach((row, i) => {
+			rows[i] = rows[i] ?? { name: row.name, color: row.color, imgs: [] };
+		});
+	}
+
+	// Items by key, with their tier in each list ranking them
+	let entries = new Map();
+	tierlists.forEach((tierlist, list_index) => {
+		for (let { item, tier } of list_tierlist_items(tierlist)) {
+			let key = compare_item_key(item);
+			if (key === null) {
+				continue;
+			}
+			if (!entries.has(key)) {
+				entries.set(key, { item: item, tiers: [], list_indices: [], borda: [] });
+			}
+			let entry = entries.get(key);
+			if (tier !== null && !entry.list_indices.includes(list_index)) {
+				entry.tiers.push(tier);
+				entry.list_indices.push(list_index);
+			}
+		}
+	});
+	let ranked = Array.from(entries.values()).filter((entry) => entry.tiers.length > 0);
+
+	if (method === 'borda') {
+		// Share of the other ranked items of each list that an item is ranked above (ties counting half)
+		tierlists.forEach((tierlist, list_index) => {
+			let in_list = ranked.filter((entry) => entry.list_indices.includes(list_index));
+			let tier_of = (entry) => entry.tiers[entry.list_indices.indexOf(list_index)];
+			for (let entry of in_list) {
+				let above = in_list.reduce((sum, other) => sum + (tier_of(other) > tier_of(entry) ? 1 : tier_of(other) === tier_of(entry) ? 0.5 : 0), -0.5);
+				entry.borda.push(in_list.length > 1 ? above / (in_list.length - 1) : 0.5);
+			}
+		});
+		ranked.forEach((entry) => {
+			entry.score = -entry.borda.reduce((a, b) => a + b, 0) / entry.borda.length;
+		});
+		ranked.sort((a, b) => a.score - b.score);
+
+		// Cumulative proportions of the items in each tier, averaged over the lists
+		let cumulative = [];
+		let total = 0;
+		rows.forEach((row, i) => {
+			let share = tierlists.reduce((sum, tierlist) => {
+				let count = tierlist.rows.reduce((n, r) => n + r.imgs.length, 0);
+				return sum + (count > 0 && tierlist.rows[i] ? tierlist.rows[i].imgs.length / count : 0);
+			}, 0) / tierlists.length;
+			total += share;
+			cumulative.push(total);
+		});
+		ranked.forEach((entry, i) => {
+			let position = (i + 0.5) / ranked.length * total;
+			entry.tier = cumulative.findIndex((limit) => position < limit);
+			if (entry.tier < 0) {
+				entry.tier = rows.length - 1;
+			}
+		});
+		// Items with the same score get the tier of the first (better) or last (worse) of them
+		let groups = [];
+		ranked.forEach((entry, i) => {
+			if (i > 0 && entry.score === ranked[i - 1].score) {
+				groups[groups.length - 1].push(entry);
+			} else {
+				groups.push([entry]);
+			}
+		});
+		for (let group of groups) {
+			let tier = tie_break === 'worse' ? group[group.length - 1].tier : group[0].tier;
+			group.forEach((entry) => {
+				entry.tier = tier;
+			});
+		}
+	} else {
+		ranked.forEach((entry) => {
+			entry.score = method === 'median' ? median(entry.tiers) : entry.tiers.reduce((a, b) => a + b, 0) / entry.tiers.length;
+			entry.tier = Math.min(round_tier(entry.score, tie_break), rows.length - 1);
+		});
+	}
+
+	ranked.sort((a, b) => a.tier - b.tier || a.score - b.score || b.tiers.length - a.tiers.length ||
+		a.item.name.localeCompare(b.item.name));
+	// Notes and tags are personal, they are not kept
+	let copy_item = (item) => item.type === 'text' ? { type: 'text', name: item.name } : { src: item.src, name: item.name };
+	for (let entry of ranked) {
+		let item = copy_item(entry.item);
+		item.spread = Math.max(...entry.tiers) - Math.min(...entry.tiers);
+		rows[entry.tier].imgs.push(item);
+	}
+
+	let untiered = Array.from(entries.values()).filter((entry) => entry.tiers.length === 0).map((entry) => copy_item(entry.item));
+	let result = { version: FORMAT_VERSION, title: `Consensus of ${tierlists.length} tierlists`, rows: rows };
+	if (untiered.length > 0) {
+		result.untiered = untiered;
+	}
+	return result;
+}
+
+// Builds a consensus tierlist from files, and replaces the current tierlist with it
+async function load_consensus_tierlist(files, method, tie_break) {
+	let tierlists = [];
+	for (let file of files) {
+		tierlists.push(await read_comparable_tierlist(file));
+	}
+	let consensus = build_consensus_tierlist(tierlists, method, tie_break);
+	if (!(await leave_current_list())) {
+		return;
+	}
+	await thumbnail_tierlist(consensus);
+	await flush_autosave();
+	hard_reset_list();
+	load_tierlist(consensus);
+	// It has never been exported
+	mark_unsaved();
+}
+
+function bind_consensus_events() {
+	let dialog = document.getElementById('consensus-dialog');
+	let files_input = document.getElementById('consensus-files');
+	document.getElementById('consensus-input').addEventListener('click', () => {
+		dialog.returnValue = '';
+		dialog.showModal();
+	});
+	dialog.addEventListener('close', () => {
+		if (dialog.returnValue !== 'build') {
+			return;
+		}
+		let files = Array.from(files_input.files);
+		if (files.length < 2) {
+			alert('Please choose at least two tierlists');
+			return;
+		}
+		let method = document.getElementById('consensus-method').value;
+		let tie_break = document.getElementById('consensus-tie-break').value;
+		load_consensus_tierlist(files, CONSENSUS_METHODS.includes(method) ? method : 'mean', tie_break).catch((e) => {
+			console.error('Failed to build the consensus:', e);
+			alert('Failed to build the consensus: ' + (e.message || 'Unknown error'));
+		});
+	});
+}
+
+// Sorts items in ascending order with as few comparisons as possible (Ford-Johnson merge-insertion sort).
+// is_less(a, b) resolves to whether a comes before b.
+async function merge_insertion_sort(items, is_less) {
+	if (items.length < 2) {
+		return items.slice();
+	}
+	// Compare the items two by two, and sort the larger items of the pairs
+	let smaller_of = new Map();
+	for (let i = 0; i + 1 < items.length; i += 2) {
+		if (await is_less(items[i], items[i + 1])) {
+			smaller_of.set(items[i + 1], items[i]);
+		} else {
+			smaller_of.set(items[i], items[i + 1]);
+		}
+	}
+	let chain = await merge_insertion_sort(Array.from(smaller_of.keys()), is_less);
+
+	// Then insert the smaller items, each somewhere before its larger item (the first one goes first without comparing)
+	let pending = chain.map((larger) => ({ item: smaller_of.get(larger), larger: larger }));
+	if (items.length % 2 === 1) {
+		pending.push({ item: items[items.length - 1], larger: null });
+	}
+	chain.unshift(pending[0].item);
+	// By groups ending at the Jacobsthal numbers (3, 5, 11, 21...), in reverse order within a group,
+	// so that every binary search is done on 2^k - 1 items
+	let inserted = 1;
+	for (let k = 2; inserted < pending.length; k++) {
+		let group_end = Math.min(pending.length, (2 ** (k + 1) + (k % 2 === 0 ? 1 : -1)) / 3);
+		for (let i = group_end - 1; i >= inserted; i--) {
+			let low = 0;
+			let high = pending[i].larger === null ? chain.length : chain.indexOf(pending[i].larger);
+			while (low < high) {
+				let middle = (low + high) >> 1;
+				if (await is_less(pending[i].item, chain[middle])) {
+					high = middle;
+				} else {
+					low = middle + 1;
+				}
+			}
+			chain.splice(low, 0, pending[i].item);
+		}
+		inserted = group_end;
+	}
+	return chain;
+}
+
+// Worst case number of comparisons of merge_insertion_sort()
+function merge_insertion_max_comparisons(count) {
+	let comparisons = 0;
+	for (let i = 1; i <= count; i++) {
+		comparisons += Math.ceil(Math.log2(3 * i / 4));
+	}
+	return comparisons;
+}
+
+const SORT_STOPPED = 'sort-stopped';
+
+// Shows two items in the sort dialog. Resolves to whether the first one is better, or rejects with SORT_STOPPED.
+function ask_which_is_better(a, b, progress) {
+	let dialog = document.getElementById('sort-question-dialog');
+	for (let [side, container] of [['a', a], ['b', b]]) {
+		document.getElementById(`sort-choice-${side}-img`).src = container.querySelector('img.draggable').src;
+		document.getElementById(`sort-choice-${side}-name`).textContent = container.querySelector('.item-label').textContent;
+	}
+	document.getElementById('sort-progress').textContent = progress;
+	return new Promise((resolve, reject) => {
+		dialog.addEventListener('close', () => {
+			if (dialog.returnValue === 'a' || dialog.returnValue === 'b') {
+				resolve(dialog.returnValue === 'a');
+			} else {
+				reject(SORT_STOPPED);
+			}
+		}, { once: true });
+		dialog.returnValue = '';
+		dialog.showModal();
+	});
+}
+
+// Sorts the items of a list (a row's span.items or the untiered pool) by asking which is better, best first
+function sort_items_by_questions(list) {
+	let items = get_list_items(list);
+	let max_questions = merge_insertion_max_comparisons(items.length);
+	let asked = 0;
+	return merge_insertion_sort(items, (a, b) => {
+		asked++;
+		// a comes first (is "less") when it's the better one
+		return ask_which_is_better(a, b, `Question ${asked} of at most ${max_questions}`);
+	});
+}
+
+// Default cut points: the items split as evenly as possible between the rows, the first rows getting the extra ones
+function default_tier_counts(item_count, row_count) {
+	return Array.from({ length: row_count }, (_, i) => Math.floor(item_count / row_count) + (i < item_count % row_count ? 1 : 0));
+}
+
+// Shows the sorted items and how many of them each row gets
+function update_sort_preview(sorted, rows, counts) {
+	let order = document.getElementById('sort-order');
+	while (order.firstChild) {
+		order.removeChild(order.firstChild);
+	}
+	let row_index = 0;
+	let row_end = counts[0] ?? 0;
+	sorted.forEach((container, i) => {
+		while (row_index < rows.length && i >= row_end) {
+			row_index++;
+			row_end += counts[row_index] ?? 0;
+		}
+		let li = document.createElement('li');
+		li.textContent = container.querySelector('.item-label').textContent || '(unnamed)';
+		let tier = document.createElement('span');
+		tier.classList.add('sort-tier-name');
+		tier.textContent = row_index < rows.length ? rows[row_index].querySelector('.header label').innerText : 'Untiered';
+		li.prepend(tier);
+		order.appendChild(li);
+	});
+	let placed = Math.min(sorted.length, counts.reduce((sum, count) => sum + count, 0));
+	document.getElementById('sort-cut-total').textContent = placed === sorted.length ?
+		`All the ${sorted.length} items go into tiers.` :
+		`${placed} of the ${sorted.length} items go into tiers, the ${sorted.length - placed} worst go to the untiered pool.`;
+}
+
+// Asks how many of the sorted items go into each row. Resolves to the counts, or null if cancelled.
+function choose_tier_counts(sorted, rows) {
+	let dialog = document.getElementById('sort-distribute-dialog');
+	let cuts = document.getElementById('sort-cuts');
+	while (cuts.firstChild) {
+		cuts.removeChild(cuts.firstChild);
+	}
+	let inputs = default_tier_counts(sorted.length, rows.length).map((count, i) => {
+		let label = document.createElement('label');
+		let input = document.createElement('input');
+		input.type = 'number';
+		input.min = 0;
+		input.max = sorted.length;
+		input.value = count;
+		input.addEventListener('input', () => update_sort_preview(sorted, rows, read_counts()));
+		label.appendChild(document.createTextNode(rows[i].querySelector('.header label').innerText + ' '));
+		label.appendChild(input);
+		cuts.appendChild(label);
+		return input;
+	});
+	let read_counts = () => inputs.map((input) => Math.max(0, parseInt(input.value, 10) || 0));
+	update_sort_preview(sorted, rows, read_counts());
+	return new Promise((resolve) => {
+		dialog.addEventListener('close', () => {
+			resolve(dialog.returnValue === 'apply' ? read_counts() : null);
+		}, { once: true });
+		dialog.returnValue = '';
+		dialog.showModal();
+	});
+}
+
+// Moves the sorted items into the rows, counts[i] of them at the end of the i-th row, and the rest at the
+// end of the untiered pool. This is a single undoable step.
+function distribute_sorted_items(sorted, rows, counts) {
+	let moves = begin_item_moves(sorted);
+	let next = 0;
+	rows.forEach((row, i) => {
+		let items = row.querySelector('.items');
+		for (let placed = 0; placed < counts[i] && next < sorted.length; placed++, next++) {
+			place_item(sorted[next], { parent: items, index: items.children.length });
+		}
+	});
+	for (; next < sorted.length; next++) {
+		place_item(sorted[next], { parent: untiered_images, index: untiered_images.children.length });
+	}
+	if (record_item_moves(moves)) {
+		mark_unsaved();
+	}
+	update_untiered_count();
+}
+
+async function run_sort_assistant(list) {
+	if (get_list_items(list).length < 2) {
+		alert('There must be at least two items to sort');
+		return;
+	}
+	let sorted = await sort_items_by_questions(list);
+	let rows = Array.from(tierlist_div.querySelectorAll('.row'));
+	let counts = await choose_tier_counts(sorted, rows);
+	if (counts !== null) {
+		distribute_sorted_items(sorted, rows, counts);
+	}
+}
+
+function bind_sort_assistant_events() {
+	let dialog = document.getElementById('sort-setup-dialog');
+	let source = document.getElementById('sort-source');
+	document.getElementById('sort-assistant-input').addEventListener('click', () => {
+		while (source.firstChild) {
+			source.removeChild(source.firstChild);
+		}
+		source.appendChild(new Option(`Untiered items (${get_list_items(untiered_images).length})`, 'untiered'));
+		tierlist_div.querySelectorAll('.row').forEach((row, i) => {
+			let count = get_list_items(row.querySelector('.items')).length;
+			source.appendChild(new Option(`Tier ${row.querySelector('.header label').innerText} (${count})`, i));
+		});
+		dialog.returnValue = '';
+		dialog.showModal();
+	});
+	dialog.addEventListener('close', () => {
+		if (dialog.returnValue !== 'start') {
+			return;
+		}
+		let list = source.value === 'untiered' ? untiered_images :
+			tierlist_div.querySelectorAll('.row')[parseInt(source.value, 10)].querySelector('.items');
+		run_sort_assistant(list).catch((e) => {
+			if (e === SORT_STOPPED) {
+				return;
+			}
+			console.error('Failed to sort items:', e);
+			alert('Failed to sort items: ' + (e.message || 'Unknown error'));
+		});
+	});
+	// The arrow keys pick a side
+	let question_dialog = document.getElementById('sort-question-dialog');
+	question_dialog.addEventListener('keydown', (evt) => {
+		if (evt.key === 'ArrowLeft' || evt.key === 'ArrowRight') {
+			evt.preventDefault();
+			question_dialog.close(evt.key === 'ArrowLeft' ? 'a' : 'b');
+		}
+	});
+}
+
+// Shows the untiered items one at a time, to send each of them to a row with a single key press
+function start_quick_rank() {
+	// All the untiered items are ranked, so the search must not hide some of them
+	let search_input = document.getElementById('search-input');
+	if (search_input.value !== '') {
+		search_input.value = '';
+		update_untiered_count();
+	}
+	if (get_list_items(untiered_images).length === 0) {
+		alert('There are no untiered items to rank');
+		return;
+	}
+	// Actions are kept to go back: {container, from} for placed items, {container, from: null} for skipped ones
+	quick_rank = { current: null, skipped: [], actions: [], placed: 0 };
+	show_quick_rank_tiers();
+	next_quick_rank_item();
+	document.getElementById('quick-rank-dialog').showModal();
+}
+
+// Shows a button for each row, with the keys sending the item to it
+function show_quick_rank_tiers() {
+	let tiers = document.getElementById('quick-rank-tiers');
+	while (tiers.firstChild) {
+		tiers.removeChild(tiers.firstChild);
+	}
+	get_quick_rank_rows().forEach((row, i) => {
+		let button = document.createElement('input');
+		button.type = 'button';
+		let name = row.querySelector('.header label').innerText;
+		button.value = i < 9 ? `${i + 1}. ${name}` : name;
+		button.style.backgroundColor = row.querySelector('.header').style.backgroundColor;
+		button.addEventListener('click', () => quick_rank_place(row));
+		tiers.appendChild(button);
+	});
+}
+
+function get_quick_rank_rows() {
+	return Array.from(tierlist_div.querySelectorAll('.row'));
+}
+
+// Finds the row matching a key: its number (1 to 9), or the first letter of its name
+function find_quick_rank_row(key) {
+	let rows = get_quick_rank_rows();
+	if (/^[1-9]$/.test(key)) {
+		return rows[parseInt(key, 10) - 1] ?? null;
+	}
+	key = key.toLowerCase();
+	return rows.find((row) => row.querySelector('.header label').innerText.trim().charAt(0).toLowerCase() === key) ?? null;
+}
+
+// Shows the first untiered item not skipped yet. Once all the remaining ones were skipped, they are shown again.
+function next_quick_rank_item() {
+	let items = get_list_items(untiered_images);
+	let next = items.find((container) => !quick_rank.skipped.includes(container));
+	if (next === undefined && items.length > 0) {
+		quick_rank.skipped = [];
+		next = items[0];
+	}
+	show_quick_rank_item(next ?? null);
+}
+
+function show_quick_rank_item(container) {
+	quick_rank.current = container;
+	let img = document.getElementById('quick-rank-img');
+	let name = document.getElementById('quick-rank-name');
+	img.hidden = container === null;
+	if (container === null) {
+		img.removeAttribute('src');
+		name.textContent = 'All the items are ranked!';
+	} else {
+		img.src = container.querySelector('img.draggable').src;
+		name.textContent = container.querySelector('.item-label').textContent;
+	}
+	document.getElementById('quick-rank-skip').disabled = container === null;
+	document.getElementById('quick-rank-back').disabled = quick_rank.actions.length === 0;
+	update_untiered_count();
+}
+
+function show_quick_rank_progress(count) {
+	let progress = document.getElementById('quick-rank-progress');
+	progress.max = quick_rank.placed + count;
+	progress.value = quick_rank.placed;
+	document.getElementById('quick-rank-count').textContent = `${quick_rank.placed} placed, ${count} left` +
+		(quick_rank.skipped.length > 0 ? ` (${quick_rank.skipped.length} skipped)` : '');
+}
+
+// Sends the shown item to the end of a row
+function quick_rank_place(row) {
+	let container = quick_rank.current;
+	if (container === null) {
+		return;
+	}
+	let items = row.querySelector('.items');
+	let moves = begin_item_moves([container]);
+	place_item(container, { parent: items, index: items.children.length });
+	record_item_moves(moves);
+	mark_unsaved();
+	quick_rank.actions.push({ container: container, from: moves[0].from });
+	quick_rank.placed++;
+	next_quick_rank_item();
+}
+
+function quick_rank_skip() {
+	if (quick_rank.current === null) {
+		return;
+	}
+	quick_rank.skipped.push(quick_rank.current);
+	quick_rank.actions.push({ container: quick_rank.current, from: null });
+	next_quick_rank_item();
+}
+
+// Goes back to the previous item, putting it back in the untiered pool if it was placed
+function quick_rank_back() {
+	let action = quick_rank.actions.pop();
+	if (action === undefined) {
+		return;
+	}
+	if (action.from === null) {
+		quick_rank.skipped = quick_rank.skipped.filter((container) => container !== action.container);
+	} else if (!untiered_images.contains(action.container)) {
+		let moves = begin_item_moves([action.container]);
+		place_item(action.container, action.from);
+		record_item_moves(moves);
+		mark_unsaved();
+		quick_rank.placed--;
+	}
+	show_quick_rank_item(action.container);
+}
+
+function bind_quick_rank_events() {
+	let dialog = document.getElementById('quick-rank-dialog');
+	document.getElementById('quick-rank-input').addEventListener('click', start_quick_rank);
+	document.getElementById('quick-rank-skip').addEventListener('click', quick_rank_skip);
+	document.getElementById('quick-rank-back').addEventListener('click', quick_rank_back);
+	dialog.addEventListener('close', () => {
+		quick_rank = null;
+	});
+	dialog.addEventListener('keydown', (evt) => {
+		if (evt.ctrlKey || evt.metaKey || evt.altKey) {
+			return;
+		}
+		if (evt.key === 'ArrowRight') {
+			quick_rank_skip();
+		} else if (evt.key === 'ArrowLeft' || evt.key === 'Backspace') {
+			quick_rank_back();
+		} else if (evt.key.length === 1 && find_quick_rank_row(evt.key)) {
+			quick_rank_place(find_quick_rank_row(evt.key));
+		} else {
+			return;
+		}
+		evt.preventDefault();
+	});
+}
+
+function save_tierlist_bundle(filename) {
+	let bundle = bundle_tierlist(serialize_tierlist_for_export());
+	unsaved_changes = false;
+	schedule_autosave();
+	download_blob(filename, bundle);
+}
+
+function bind_export_events() {
+	let dialog = document.getElementById('export-dialog');
+	let form = dialog.querySelector('form');
+	let name_input = document.getElementById('export-name');
+	document.getElementById('export-input').addEventListener('click', () => {
+		fill_settings_form(form);
+		document.getElementById('export-trash-count').textContent = `${recycle_bin.length} deleted item${recycle_bin.length === 1 ? '' : 's'}`;
+		dialog.returnValue = '';
+		dialog.showModal();
+	});
+	form.addEventListener('change', () => {
+		read_settings_form(form);
+		store_settings();
+	});
+	dialog.addEventListener('close', () => {
+		if (dialog.returnValue !== 'export') {
+			return;
+		}
+		let name = sanitize_filename(name_input.value.trim());
+		if (!name) {
+			alert('Invalid filename');
+			return;
+		}
+		if (dialog.querySelector('input[name=export-format]:checked').value === 'bundle') {
+			save_tierlist_bundle(`${name}.zip`);
+		} else {
+			save_tierlist(`${name}.json`);
+		}
+	});
+}
+
+function bind_export_text_events() {
+	let dialog = document.getElementById('export-text-dialog');
+	document.getElementById('export-text-input').addEventListener('click', () => {
+		dialog.querySelector('button[value=copy]').disabled = !navigator.clipboard;
+		dialog.returnValue = '';
+		dialog.showModal();
+	});
+	dialog.addEventListener('close', () => {
+		let action = dialog.returnValue;
+		if (action !== 'download' && action !== 'copy') {
+			return;
+		}
+		let format = dialog.querySelector('input[name=text-format]:checked').value;
+		let include_untiered = document.getElementById('export-text-untiered').checked;
+		void export_tierlist_text(format, include_untiered, action === 'copy');
+	});
+}
+
+function load_tierlist(serialized_tierlist) {
+	serialized_tierlist = migrate_tierlist(serialized_tierlist);
+	document.querySelector('.title-label').innerText = serialized_tierlist.title;
+	let row_elems = [];
+	for (let idx in serialized_tierlist.rows) {
+		let ser_row = serialized_tierlist.rows[idx];
+		let elem = add_row(idx, ser_row.name);
+		elem.querySelector('label').innerText = ser_row.name;
+		let header = elem.querySelector('.header');
+		header.style.backgroundColor = ser_row.color;
+		header.querySelector('.row-color-picker').value = ser_row.color;
+		row_elems.push(elem);
+	}
+
+	for (let { item, tier } of list_tierlist_items(serialized_tierlist)) {
+		if (!item || (!item.src && item.type !== 'text')) {
+			continue; // Skip invalid entries
+		}
+		let item_container = create_item_from_data(item);
+		if (tier === null) {
+			untiered_images.appendChild(item_container);
+		} else {
+			let td = document.createElement('span');
+			td.classList.add('item');
+			td.appendChild(item_container);
+			row_elems[tier].querySelector('.items').appendChild(td);
+		}
+	}
+
+	recycle_bin = (serialized_tierlist.trash ?? []).filter((entry) => entry && entry.item).map((entry) => ({
+		container: create_item_from_data(entry.item),
+		list: null,
+		tier: entry.tier ?? null,
+		index: entry.index ?? 0
+	}));
+	update_recycle_bin();
+
+	resize_headers();
+
+	unsaved_changes = false;
+	schedule_autosave();
+	update_untiered_count();
+}
+
+// Lists the items of a serialized tierlist in order, as [{item, tier, position}]: tier is the index
+// of the row holding the item (null for the untiered pool) and position the item's index in it.
+function list_tierlist_items(serialized_tierlist) {
+	let items = [];
+	(serialized_tierlist.rows ?? []).forEach((row, tier) => {
+		(row.imgs ?? []).forEach((item, position) => items.push({ item: item, tier: tier, position: position }));
+	});
+	(serialized_tierlist.untiered ?? []).forEach((item, position) => items.push({ item: item, tier: null, position: position }));
+	return items;
+}
+
+// Checks an imported (and migrated) tierlist against the validation rules of data/JSON_SCHEMA.md.
+// Returns {problems, valid}: a readable description of each problem, and a copy of the tierlist
+// with only its valid parts (invalid rows and items left out, invalid colors recomputed).
+function validate_tierlist(data) {
+	let problems = [];
+	let valid = { version: FORMAT_VERSION, title: 'Untitled tierlist', rows: [] };
+
+	if (!data || typeof data !== 'object' || Array.isArray(data)) {
+		problems.push('the root is not an object');
+		return { problems: problems, valid: valid };
+	}
+
+	if (typeof data.title !== 'string' || data.title.trim() === '') {
+		problems.push('title is missing or is not a non-empty string');
+	} else {
+		valid.title = data.title;
+	}
+
+	// Returns the valid parts of an item, or null if it's invalid
+	function validate_item(item, item_path) {
+		if (!item || typeof item !== 'object') {
+			problems.push(`${item_path} is not an item object`);
+		} else if (typeof item.name !== 'string') {
+			problems.push(`${item_path}.name is missing or is not a string`);
+		} else if (item.type !== undefined && item.type !== 'text') {
+			problems.push(`${item_path}.type ${JSON.stringify(item.type)} is not a known item type`);
+		} else if (item.type === 'text' && item.name.trim() === '') {
+			problems.push(`${item_path} is a text item without a name`);
+		} else if (item.type !== 'text' && typeof item.src !== 'string') {
+			problems.push(`${item_path}.src is missing or is not a string`);
+		} else if (item.type !== 'text' && !item.src.startsWith('data:image/')) {
+			problems.push(`${item_path}.src is not a data:image URI`);
+		} else {
+			// Invalid notes and tags are left out, but not the item itself
+			let valid_item = Object.assign({}, item);
+			if (item.notes !== undefined && typeof item.notes !== 'string') {
+				problems.push(`${item_path}.notes is not a string`);
+				delete valid_item.notes;
+			}
+			if (item.tags !== undefined && !(Array.isArray(item.tags) && item.tags.every((tag) => typeof tag === 'string'))) {
+				problems.push(`${item_path}.tags is not an array of strings`);
+				delete valid_item.tags;
+			}
+			if (item.spread !== undefined && !(Number.isInteger(item.spread) && item.spread >= 0)) {
+				problems.push(`${item_path}.spread is not a non-negative integer`);
+				delete valid_item.spread;
+			}
+			return valid_item;
+		}
+		return null;
+	}
+
+	function validate_items(items, path) {
+		return items.map((item, i) => validate_item(item, `${path}[${i}]`)).filter((item) => item !== null);
+	}
+
+	if (!Array.isArray(data.rows)) {
+		problems.push('rows is missing or is not an array');
+	} else {
+		data.rows.forEach((row, i) => {
+			let path = `rows[${i}]`;
+			if (!row || typeof row !== 'object') {
+				problems.push(`${path} is not a tier row object`);
+				return;
+			}
+			let valid_row = { name: '', imgs: [] };
+			if (typeof row.name !== 'string') {
+				problems.push(`${path}.name is missing or is not a string`);
+			} else {
+				valid_row.name = row.name;
+			}
+			if (typeof row.color !== 'string' || !/^#[0-9a-f]{6}$/i.test(row.color)) {
+				problems.push(`${path}.color ${JSON.stringify(row.color) ?? 'undefined'} is not a hex color code (e.g. "#ff6666")`);
+				valid_row.color = TIER_COLORS[i % TIER_COLORS.length];
+			} else {
+				valid_row.color = row.color;
+			}
+			if (!Array.isArray(row.imgs)) {
+				problems.push(`${path}.imgs is missing or is not an array`);
+			} else {
+				valid_row.imgs = validate_items(row.imgs, `${path}.imgs`);
+			}
+			valid.rows.push(valid_row);
+		});
+	}
+
+	if (data.untiered !== undefined) {
+		if (!Array.isArray(data.untiered)) {
+			problems.push('untiered is not an array');
+		} else {
+			valid.untiered = validate_items(data.untiered, 'untiered');
+		}
+	}
+
+	if (data.trash !== undefined) {
+		if (!Array.isArray(data.trash)) {
+			problems.push('trash is not an array');
+		} else {
+			valid.trash = [];
+			data.trash.forEach((entry, i) => {
+				let path = `trash[${i}]`;
+				if (!entry || typeof entry !== 'object') {
+					problems.push(`${path} is not a trashed item object`);
+				} else if (entry.tier !== undefined && typeof entry.tier !== 'string') {
+					problems.push(`${path}.tier is not a string`);
+				} else if (!Number.isInteger(entry.index) || entry.index < 0) {
+					problems.push(`${path}.index is missing or is not a non-negative integer`);
+				} else {
+					let item = validate_item(entry.item, `${path}.item`);
+					if (item !== null) {
+						valid.trash.push(Object.assign({}, entry, { item: item }));
+					}
+				}
+			});
+		}
+	}
+
+	return { problems: problems, valid: valid };
+}
+
+// Shows the problems found by validate_tierlist(). Resolves to true if the user chooses
+// to load the valid parts anyway.
+function show_validation_report(problems) {
+	const MAX_SHOWN_PROBLEMS = 100;
+	let dialog = document.getElementById('validation-dialog');
+	let list = document.getElementById('validation-problems');
+	while (list.firstChild) {
+		list.removeChild(list.firstChild);
+	}
+	document.getElementById('validation-summary').textContent =
+		`The tierlist has ${problems.length} problem${problems.length === 1 ? '' : 's'}:`;
+	let shown = problems.slice(0, MAX_SHOWN_PROBLEMS);
+	if (problems.length > MAX_SHOWN_PROBLEMS) {
+		shown.push(`…and ${problems.length - MAX_SHOWN_PROBLEMS} more`);
+	}
+	for (let problem of shown) {
+		let li = document.createElement('li');
+		li.textContent = problem;
+		list.appendChild(li);
+	}
+
+	return new Promise((resolve) => {
+		dialog.addEventListener('close', () => resolve(dialog.returnValue === 'load'), { once: true });
+		dialog.returnValue = '';
+		dialog.showModal();
+	});
+}
+
+// Validates a parsed tierlist file and replaces the current tierlist with it.
+// Resolves to false if it had problems and the user chose not to load it.
+async function import_tierlist(data) {
+	data = migrate_tierlist(data);
+	let { problems, valid } = validate_tierlist(data);
+	if (problems.length > 0) {
+		console.warn('Tierlist validation problems:', problems);
+		if (!(await show_validation_report(problems))) {
+			return false;
+		}
+		data = valid;
+	}
+	await thumbnail_tierlist(data);
+	await flush_autosave();
+	hard_reset_list();
+	load_tierlist(data);
+	return true;
+}
+
+// Downscales the image so that its longest edge is at most max_edge and re-encodes it as WebP
+// (or PNG in browsers that can't encode WebP). Resolves with the original src if the image can't
+// be decoded or the result wouldn't be smaller.
+async function recompress_image_src(src, max_edge, quality) {
+	if (!src.startsWith('data:image/') || /^data:image\/(gif|svg\+xml)[;,]/.test(src)) {
+		// Keep animations and vector images as they are
+		return src;
+	}
+	let img = await load_image(src);
+	if (!img || !img.naturalWidth || !img.naturalHeight) {
+		return src;
+	}
+	let scale = Math.min(1, max_edge / Math.max(img.naturalWidth, img.naturalHeight));
+	let canvas = document.createElement('canvas');
+	canvas.width = Math.max(1, Math.round(img.naturalWidth * scale));
+	canvas.height = Math.max(1, Math.round(img.naturalHeight * scale));
+	canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+	let result = canvas.toDataURL('image/webp', quality);
+	return result.length < src.length ? result : src;
+}
+
+// Applies the thumbnail settings to an image that is being added
+function make_thumbnail(src) {
+	if (!settings.thumbnail_enabled) {
+		return Promise.resolve(src);
+	}
+	return recompress_image_src(src, settings.thumbnail_max_edge, settings.thumbnail_quality);
+}
+
+// Applies the thumbnail settings to all the images of a (validated) serialized tierlist before loading it.
+// Images are processed one at a time to keep memory usage low on big lists.
+async function thumbnail_tierlist(serialized_tierlist) {
+	if (!settings.thumbnail_enabled) {
+		return;
+	}
+	let item_lists = (serialized_tierlist.rows ?? []).map((row) => row.imgs ?? []);
+	item_lists.push(serialized_tierlist.untiered ?? []);
+	item_lists.push((serialized_tierlist.trash ?? []).map((entry) => entry.item));
+	for (let items of item_lists) {
+		for (let item of items.filter((item) => item.type !== 'text')) {
+			item.src = await make_thumbnail(item.src);
+		}
+	}
+}
+
+// Recompresses the images of all the items on the board.
+// Resolves with {total, changed, saved}, saved being the number of bytes saved.
+async function recompress_all_items(max_edge, quality) {
+	let imgs = Array.from(document.querySelectorAll('.item-container:not(.text-item) img.draggable'));
+	let result = { total: imgs.length, changed: 0, saved: 0 };
+	for (let img of imgs) {
+		let old_src = img.src;
+		let new_src = await recompress_image_src(old_src, max_edge, quality);
+		if (new_src !== old_src) {
+			img.src = new_src;
+			result.changed++;
+			result.saved += old_src.length - new_src.length;
+		}
+	}
+	if (result.changed > 0) {
+		mark_unsaved();
+	}
+	return result;
+}
+
+function format_size(bytes) {
+	if (bytes < 1024 * 1024) {
+		return `${(bytes / 1024).toFixed(1)} KB`;
+	}
+	return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+}
+
+function load_settings() {
+	try {
+		let stored = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY));
+		if (stored && typeof stored === 'object') {
+			for (let key in DEFAULT_SETTINGS) {
+				if (typeof stored[key] === typeof DEFAULT_SETTINGS[key]) {
+					settings[key] = stored[key];
+				}
+			}
+		}
+	} catch (e) {
+		console.warn('Could not load settings:', e);
+	}
+}
+
+function store_settings() {
+	try {
+		localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+	} catch (e) {
+		console.warn('Could not store settings:', e);
+	}
+}
+
+// Settings form fields are bound to the settings key named by their data-setting attribute
+function fill_settings_form(form) {
+	form.querySelectorAll('[data-setting]').forEach((field) => {
+		let value = settings[field.dataset.setting];
+		if (field.type === 'checkbox') {
+			field.checked = value;
+		} else {
+			field.value = value;
+		}
+	});
+}
+
+function read_settings_form(form) {
+	form.querySelectorAll('[data-setting]').forEach((field) => {
+		let key = field.dataset.setting;
+		if (typeof DEFAULT_SETTINGS[key] === 'boolean') {
+			settings[key] = field.checked;
+		} else if (typeof DEFAULT_SETTINGS[key] === 'number') {
+			let value = parseFloat(field.value);
+			if (Number.isFinite(value)) {
+				settings[key] = Math.min(Math.max(value, parseFloat(field.min)), parseFloat(field.max));
+			}
+		} else {
+			settings[key] = field.value;
+		}
+	});
+}
+
+function bind_settings_events() {
+	let dialog = document.getElementById('settings-dialog');
+	let form = dialog.querySelector('form');
+	document.getElementById('settings-input').addEventListener('click', () => {
+		fill_settings_form(form);
+		dialog.returnValue = '';
+		dialog.showModal();
+	});
+	dialog.addEventListener('close', () => {
+		if (dialog.returnValue === 'save') {
+			read_settings_form(form);
+			store_settings();
+		}
+	});
+
+	let recompress_button = document.getElementById('recompress-input');
+	recompress_button.addEventListener('click', () => {
+		// Use the values currently in the form, even if not saved yet
+		let max_edge = parseFloat(document.getElementById('thumbnail-max-edge').value) || DEFAULT_SETTINGS.thumbnail_max_edge;
+		let quality = parseFloat(document.getElementById('thumbnail-quality').value) || DEFAULT_SETTINGS.thumbnail_quality;
+		if (!confirm(`Recompress all the images on the board to at most ${max_edge}px? (This can't be undone)`)) {
+			return;
+		}
+		let label = recompress_button.value;
+		recompress_button.disabled = true;
+		recompress_button.value = 'Recompressing…';
+		recompress_all_items(max_edge, quality).then((result) => {
+			alert(`Recompressed ${result.changed} of ${result.total} images, saving ${format_size(Math.max(0, result.saved))}.`);
+		}).catch((e) => {
+			console.error('Failed to recompress images:', e);
+			alert('Failed to recompress images: ' + (e.message || 'Unknown error'));
+		}).finally(() => {
+			recompress_button.disabled = false;
+			recompress_button.value = label;
+		});
+	});
+}
+
+// Opens (creating or upgrading it if needed) the database used for local storage
+function open_db() {
+	if (db_promise === undefined) {
+		db_promise = new Promise((resolve, reject) => {
+			if (!window.indexedDB) {
+				reject(new Error('IndexedDB is not available'));
+				return;
+			}
+			let request = indexedDB.open(DB_NAME, DB_VERSION);
+			request.onupgradeneeded = () => {
+				let db = request.result;
+				if (!db.objectStoreNames.contains(SESSION_STORE)) {
+					db.createObjectStore(SESSION_STORE);
+				}
+				if (!db.objectStoreNames.contains(LIBRARY_STORE)) {
+					db.createObjectStore(LIBRARY_STORE, { keyPath: 'id', autoIncrement: true });
+				}
+			};
+			request.onsuccess = () => resolve(request.result);
+			request.onerror = () => reject(request.error);
+		});
+		// Allow retrying later if opening failed (e.g. blocked by another tab)
+		db_promise.catch(() => {
+			db_promise = undefined;
+		});
+	}
+	return db_promise;
+}
+
+// Runs the request built by make_request(object_store) in its own transaction
+// and resolves with the request result once the transaction completes
+async function db_request(store_name, mode, make_request) {
+	let db = await open_db();
+	return new Promise((resolve, reject) => {
+		let tx = db.transaction(store_name, mode);
+		let request = make_request(tx.objectStore(store_name));
+		tx.oncomplete = () => resolve(request.result);
+		tx.onerror = () => reject(tx.error);
+		tx.onabort = () => reject(tx.error);
+	});
+}
+
+function schedule_autosave() {
+	if (!autosave_enabled) {
+		return;
+	}
+	clearTimeout(autosave_timer);
+	autosave_timer = setTimeout(autosave_session, AUTOSAVE_DELAY_MS);
+}
+
+// Persists the current tierlist, in the same shape save_tierlist() exports.
+// Also updates the open library list, if it was modified.
+async function autosave_session() {
+	autosave_timer = undefined;
+	try {
+		let session = {
+			tierlist: serialize_tierlist(),
+			unsaved: unsaved_changes,
+			timestamp: Date.now(),
+			list_id: current_list_id
+		};
+		await db_request(SESSION_STORE, 'readwrite', (store) => store.put(session, SESSION_KEY));
+		if (current_list_id !== null && library_dirty) {
+			library_dirty = false;
+			let record = { id: current_list_id, tierlist: session.tierlist, modified: session.timestamp };
+			await db_request(LIBRARY_STORE, 'readwrite', (store) => store.put(record));
+		}
+	} catch (e) {
+		console.warn('Autosave failed:', e);
+	}
+}
+
+// Runs the pending autosave right away, if any
+async function flush_autosave() {
+	if (autosave_timer !== undefined) {
+		clearTimeout(autosave_timer);
+		await autosave_session();
+	}
+}
+
+// Offers to restore the autosaved session if it holds changes that were never exported.
+// Declining discards it.
+async function try_restore_session() {
+	let session;
+	try {
+		session = await db_request(SESSION_STORE, 'readonly', (store) => store.get(SESSION_KEY));
+	} catch (e) {
+		console.warn('Could not read the autosaved session:', e);
+		return;
+	}
+	if (!session || !session.tierlist) {
+		return;
+	}
+
+	// Library lists are stored anyway, so just reopen the last one
+	if (session.list_id !== null && session.list_id !== undefined) {
+		try {
+			let record = await db_request(LIBRARY_STORE, 'readonly', (store) => store.get(session.list_id));
+			if (record) {
+				await open_library_record(record);
+				return;
+			}
+		} catch (e) {
+			console.warn('Could not reopen the last library list:', e);
+		}
+	}
+	if (!session.unsaved) {
+		return;
+	}
+
+	let last_modified = new Date(session.timestamp).toLocaleString();
+	if (confirm(`Restore previous session "${session.tierlist.title}" (last modified ${last_modified})?\n\nCancel will discard it.`)) {
+		try {
+			await flush_autosave();
+			hard_reset_list();
+			load_tierlist(session.tierlist);
+			// The restored changes were never exported
+			unsaved_changes = true;
+		} catch (e) {
+			console.error('Failed to restore session:', e);
+			alert('Failed to restore previous session: ' + (e.message || 'Unknown error'));
+		}
+	} else {
+		try {
+			await db_request(SESSION_STORE, 'readwrite', (store) => store.delete(SESSION_KEY));
+		} catch (e) {
+			console.warn('Could not discard the autosaved session:', e);
+		}
+	}
+}
+
+// Returns the serialized tierlist of a new list, with the default tiers and no items
+function make_empty_tierlist(title) {
+	return {
+		title: title,
+		rows: DEFAULT_TIERS.map((name, i) => ({ name: name, color: TIER_COLORS[i % TIER_COLORS.length], imgs: [] })),
+		untiered: []
+	};
+}
+
+// Returns [ranked, untiered] item counts of a serialized tierlist
+function count_tierlist_items(serialized_tierlist) {
+	let ranked = (serialized_tierlist.rows ?? []).reduce((sum, row) => sum + (row.imgs ?? []).length, 0);
+	return [ranked, (serialized_tierlist.untiered ?? []).length];
+}
+
+async function open_library_record(record) {
+	await flush_autosave();
+	hard_reset_list();
+	load_tierlist(record.tierlist);
+	current_list_id = record.id;
+	library_dirty = false;
+}
+
+// Makes sure switching to another list doesn't lose the current one: library lists get their
+// pending changes stored, other lists need a confirmation if they were never exported.
+// Resolves to false if the user wants to stay on the current list.
+async function leave_current_list() {
+	if (current_list_id !== null) {
+		await flush_autosave();
+		return true;
+	}
+	return !unsaved_changes ||
+		confirm('The current tierlist is not in the library and has unsaved changes. Discard them?');
+}
+
+async function add_library_list(serialized_tierlist) {
+	let record = { tierlist: serialized_tierlist, modified: Date.now() };
+	record.id = await db_request(LIBRARY_STORE, 'readwrite', (store) => store.add(record));
+	return record;
+}
+
+// Fills the library dialog with the stored lists, most recently modified first
+async function refresh_library_dialog() {
+	let records = await db_request(LIBRARY_STORE, 'readonly', (store) => store.getAll());
+	records.sort((a, b) => b.modified - a.modified);
+
+	let list_body = document.getElementById('library-list');
+	while (list_body.firstChild) {
+		list_body.removeChild(list_body.firstChild);
+	}
+	document.getElementById('library-empty').style.display = records.length === 0 ? '' : 'none';
+	document.getElementById('library-add-current-input').disabled = current_list_id !== null;
+
+	for (let record of records) {
+		let tr = document.createElement('tr');
+		if (record.id === current_list_id) {
+			tr.classList.add('current');
+		}
+		let [ranked, untiered] = count_tierlist_items(record.tierlist);
+		for (let text of [record.tierlist.title, new Date(record.modified).toLocaleString(), `${ranked} ranked, ${untiered} untiered`]) {
+			let td = document.createElement('td');
+			td.textContent = text;
+			tr.appendChild(td);
+		}
+
+		let actions = document.createElement('td');
+		for (let [label, action] of [['Open', open_library_list], ['Duplicate', duplicate_library_list],
+				['Rename', rename_library_list], ['Delete', delete_library_list]]) {
+			let button = document.createElement('input');
+			button.type = 'button';
+			button.value = label;
+			button.addEventListener('click', () => {
+				action(record).then(refresh_library_dialog).catch((e) => {
+					console.error(`Library action "${label}" failed:`, e);
+					alert(`Failed to ${label.toLowerCase()} the tierlist: ` + (e.message || 'Unknown error'));
+				});
+			});
+			actions.appendChild(button);
+		}
+		tr.appendChild(actions);
+		list_body.appendChild(tr);
+	}
+}
+
+async function new_library_list() {
+	let title = prompt('Name of the new tierlist', 'New tierlist');
+	if (!title || !(await leave_current_list())) {
+		return;
+	}
+	let record = await add_library_list(make_empty_tierlist(title.substring(0, MAX_NAME_LEN)));
+	await open_library_record(record);
+}
+
+async function add_current_to_library() {
+	let record = await add_library_list(serialize_tierlist());
+	current_list_id = record.id;
+	library_dirty = false;
+}
+
+async function open_library_list(record) {
+	if (record.id === current_list_id || !(await leave_current_list())) {
+		return;
+	}
+	// Read it again: the record shown may be outdated
+	let stored = await db_request(LIBRARY_STORE, 'readonly', (store) => store.get(record.id));
+	if (!stored) {
+		throw new Error('The tierlist no longer exists');
+	}
+	await open_library_record(stored);
+}
+
+async function duplicate_library_list(record) {
+	if (record.id === current_list_id) {
+		await flush_autosave();
+		record = await db_request(LIBRARY_STORE, 'readonly', (store) => store.get(record.id));
+	}
+	let tierlist = Object.assign({}, record.tierlist, { title: `${record.tierlist.title} (copy)`.substring(0, MAX_NAME_LEN) });
+	await add_library_list(tierlist);
+}
+
+async function rename_library_list(record) {
+	let title = prompt('New name of the tierlist', record.tierlist.title);
+	if (!title) {
+		return;
+	}
+	title = title.substring(0, MAX_NAME_LEN);
+	if (record.id === current_list_id) {
+		// Goes through the autosave like any other change to the open list
+		document.querySelector('.title-label').innerText = title;
+		mark_unsaved();
+		await flush_autosave();
+	} else {
+		record.tierlist.title = title;
+		record.modified = Date.now();
+		await db_request(LIBRARY_STORE, 'readwrite', (store) => store.put(record));
+	}
+}
+
+async function delete_library_list(record) {
+	if (!confirm(`Delete "${record.tierlist.title}" from the library? (This can't be undone)`)) {
+		return;
+	}
+	await db_request(LIBRARY_STORE, 'readwrite', (store) => store.delete(record.id));
+	if (record.id === current_list_id) {
+		// Keep it on the board, it's just not in the library anymore
+		current_list_id = null;
+		mark_unsaved();
+		await flush_autosave();
+	}
+}
+
+function bind_library_events() {
+	let dialog = document.getElementById('library-dialog');
+	function run(action) {
+		action().then(refresh_library_dialog).catch((e) => {
+			console.error('Library action failed:', e);
+			alert('Library action failed: ' + (e.message || 'Unknown error'));
+		});
+	}
+	document.getElementById('library-input').addEventListener('click', () => {
+		refresh_library_dialog().then(() => dialog.showModal()).catch((e) => {
+			console.error('Could not open the library:', e);
+			alert('Could not open the library: ' + (e.message || 'Unknown error'));
+		});
+	});
+	document.getElementById('library-new-input').addEventListener('click', () => run(new_library_list));
+	document.getElementById('library-add-current-input').addEventListener('click', () => run(add_current_to_library));
+}
+
+// Returns the position of an item container as {parent, index}, where parent is the element holding
+// the item (a row's span.items or the untiered pool), or null if the item is not on the board
+function get_item_position(container) {
+	let node = container;
+	if (node.parentNode && node.parentNode.classList.contains('item')) {
+		node = node.parentNode;
+	}
+	let parent = node.parentNode;
+	if (!parent) {
+		return null;
+	}
+	return { parent: parent, index: Array.prototype.indexOf.call(parent.children, node) };
+}
+
+// Removes an item container from the board, alongside its span.item wrapper if it has one
+function detach_item(container) {
+	let wrapper = container.parentNode;
+	if (wrapper && wrapper.classList.contains('item')) {
+		wrapper.remove();
+	}
+	container.remove();
+}
+
+// Inserts an item container at a position returned by get_item_position()
+function place_item(container, position) {
+	detach_item(container);
+	let node = container;
+	if (position.parent.classList.contains('items')) {
+		// Row items are always wrapped
+		node = document.createElement('span');
+		node.classList.add('item');
+		node.appendChild(container);
+	}
+	position.parent.insertBefore(node, position.parent.children[position.index] ?? null);
+}
+
+function same_item_position(a, b) {
+	if (a === null || b === null) {
+		return a === b;
+	}
+	return a.parent === b.parent && a.index === b.index;
+}
+
+// Snapshots the positions of the given item containers before moving, adding or removing them.
+// Pass the result to record_item_moves() once done.
+function begin_item_moves(containers) {
+	return containers.map((container) => ({ container: container, from: get_item_position(container) }));
+}
+
+// Completes the moves started with begin_item_moves() and records them as a single history step.
+// Returns false if nothing actually moved.
+function record_item_moves(moves) {
+	moves.forEach((move) => {
+		move.to = get_item_position(move.container);
+	});
+	if (moves.every((move) => same_item_position(move.from, move.to))) {
+		return false;
+	}
+	push_history({
+		undo: () => restore_item_positions(moves, 'from'),
+		redo: () => restore_item_positions(moves, 'to')
+	});
+	return true;
+}
+
+// Puts the moved items back at their 'from' or 'to' positions. All of them are detached first and
+// then inserted by ascending index, so that the indices recorded within the same parent stay valid.
+function restore_item_positions(moves, which) {
+	moves.forEach((move) => detach_item(move.container));
+	moves.filter((move) => move[which] !== null)
+		.sort((a, b) => a[which].index - b[which].index)
+		.forEach((move) => place_item(move.container, move[which]));
+}
+
+// Records an already applied change as an undoable step
+function push_history(step) {
+	undo_stack.push(step);
+	if (undo_stack.length > MAX_HISTORY) {
+		undo_stack.shift();
+	}
+	redo_stack = [];
+	update_history_buttons();
+}
+
+function clear_history() {
+	undo_stack = [];
+	redo_stack = [];
+	update_history_buttons();
+}
+
+function undo() {
+	let step = undo_stack.pop();
+	if (step === undefined) {
+		return;
+	}
+	step.undo();
+	redo_stack.push(step);
+	after_history_step();
+}
+
+function redo() {
+	let step = redo_stack.pop();
+	if (step === undefined) {
+		return;
+	}
+	step.redo();
+	undo_stack.push(step);
+	after_history_step();
+}
+
+function after_history_step() {
+	resize_headers();
+	update_selection_bar();
+	update_recycle_bin();
+	mark_unsaved();
+	update_untiered_count();
+	update_history_buttons();
+}
+
+function update_history_buttons() {
+	let undo_button = document.getElementById('undo-input');
+	let redo_button = document.getElementById('redo-input');
+	if (undo_button) {
+		undo_button.disabled = undo_stack.length === 0;
+	}
+	if (redo_button) {
+		redo_button.disabled = redo_stack.length === 0;
+	}
+}
+
+function bind_history_events() {
+	document.getElementById('undo-input').addEventListener('click', undo);
+	document.getElementById('redo-input').addEventListener('click', redo);
+	document.addEventListener('keydown', (evt) => {
+		if (!(evt.ctrlKey || evt.metaKey) || evt.altKey) {
+			return;
+		}
+		// The board is not changed behind a dialog, unless the dialog works with it
+		let dialog = document.querySelector('dialog[open]');
+		if (dialog && !dialog.hasAttribute('data-board-history')) {
+			return;
+		}
+		// Text fields keep their native undo
+		if (evt.target.isContentEditable || (evt.target.matches &&
+				evt.target.matches('input:not([type=button]):not([type=checkbox]):not([type=radio]):not([type=color]):not([type=file]), textarea'))) {
+			return;
+		}
+		let key = evt.key.toLowerCase();
+		if (key === 'z' && !evt.shiftKey) {
+			evt.preventDefault();
+			undo();
+		} else if ((key === 'z' && evt.shiftKey) || key === 'y') {
+			evt.preventDefault();
+			redo();
+		}
+	});
+	update_history_buttons();
+}
+
+function rgb_to_hex(r, g, b) {
+	return "#" + (1 << 24 | r << 16 | g << 8 | b).toString(16).slice(1);
+}
+
+// Returns the supplied item's index within a row
+// elem can be an img, item-container, or item span
+function get_item_index(elem) {
+	// If it's an item-container, find the containing item span
+	let item_elem = elem;
+	if (elem.classList && elem.classList.contains('item-container')) {
+		item_elem = elem.closest('.item') || elem.parentNode;
+	} else if (elem.tagName && elem.tagName.toUpperCase() === 'IMG') {
+		// If it's an img, find the item-container or item span
+		item_elem = elem.closest('.item-container') || elem.closest('.item') || elem.parentNode;
+	}
+	
+	let rows = Array.from(tierlist_div.querySelectorAll(".row"));
+	let parent_div = item_elem.parentNode;
+	while (parent_div && parent_div.classList && !parent_div.classList.contains('row') && !parent_div.classList.contains('bottom-container') && !parent_div.classList.contains('toggleable-container')) {
+		parent_div = parent_div.parentNode;
+	}
+	
+	// Reached the document without finding a row (e.g. elem is a row itself)
+	if (!parent_div || !parent_div.classList) return null;
+	
+	let idx = rows.indexOf(parent_div);
+	if (rows[idx] !== undefined) {
+		// Look for item-containers first, then fall back to img elements
+		let item_list = rows[idx].querySelectorAll(".item-container, .item > img, .item img");
+		for (let i = 0; i < item_list.length; i++) {
+			if (item_list[i] == elem || item_list[i].contains(elem) || (elem.classList && elem.classList.contains('item-container') && item_list[i] == elem)) {
+				return i;
+			}
+		}
+		// Fallback: check item spans
+		let item_spans = rows[idx].querySelectorAll(".item");
+		for (let i = 0; i < item_spans.length; i++) {
+			if (item_spans[i] == item_elem || item_spans[i].contains(elem)) {
 				return i;
 			}
 		}
@@ -564,184 +3602,740 @@ function set_item_placement_marker_location(elem, is_hovering_row) {
 			position_info = elem.getBoundingClientRect();
 		}
 
-		h_offset = position_info.right - 8;
-		placement_marker_div.style.marginLeft = h_offset + "px";
+		h_offset = position_info.right - 8;
+		placement_marker_div.style.marginLeft = h_offset + "px";
+	} else {
+		placement_marker_div.style.marginLeft = h_offset + "px";
+	}
+
+	placement_marker_div.style.top = `${elem.offsetTop}px`;
+}
+
+function pre_calc_row_item_placement_marker_location(image_node_list, drag_enter_img) {
+	let last_image = image_node_list[image_node_list.length - 1];
+	
+	if (last_image !== undefined) {
+		// Rows has items
+		// If it's an item-container, get the img element for positioning
+		let elem_for_positioning = last_image;
+		if (last_image.classList && last_image.classList.contains('item-container')) {
+			elem_for_positioning = last_image.querySelector('img.draggable') || last_image;
+		}
+		set_item_placement_marker_location(elem_for_positioning, true);
+	}
+	else {
+		// Row is empty
+		set_item_placement_marker_location(drag_enter_img, true);
+	}
+}
+
+function end_drag(evt) {
+	// Remove the placement marker after valid and invalid drop
+	if (placement_marker_div.parentNode === document.body) {
+		document.body.removeChild(placement_marker_div);
+	}
+	dragged_image?.classList.remove("dragged");
+	dragged_image = null;
+}
+
+window.addEventListener('mouseup', end_drag);
+window.addEventListener('dragend', end_drag);
+
+function make_accept_drop(elem) {
+	elem.classList.add('droppable');
+
+  	let target_item_index;
+  	let drag_enter_img;
+
+	// Used to add and remove the placement marker
+	placement_marker_div = document.createElement('div');
+	placement_marker_div.classList.add("vl");
+
+	elem.addEventListener('dragenter', (evt) => {
+		// Rows being reordered have their own marker
+		if (dragged_row) {
+			return;
+		}
+		drag_enter_img = evt.target;
+		drag_enter_img.classList.add('drag-entered');
+		
+		// Find the actual element to use for index calculation
+		// Could be item-container, img, item-label, or item span
+		let target_elem = drag_enter_img;
+		if (drag_enter_img.classList && drag_enter_img.classList.contains('item-label')) {
+			// If hovering over label, use the container
+			target_elem = drag_enter_img.closest('.item-container') || drag_enter_img.parentNode;
+		} else if (drag_enter_img.tagName && drag_enter_img.tagName.toUpperCase() === 'IMG' && !drag_enter_img.classList.contains('draggable')) {
+			// Non-draggable img (like button icons), skip
+			return;
+		}
+		
+		// Grabs the index of the item that the dragged item is hovering.
+		// Used for placing items within the row
+		target_item_index = get_item_index(target_elem);
+
+		// Hovering a row
+		if (drag_enter_img.classList.contains("row") || drag_enter_img.classList.contains("images")){
+			let image_node_list = drag_enter_img.querySelectorAll("img.draggable, .item-container");
+
+			pre_calc_row_item_placement_marker_location(image_node_list, drag_enter_img);
+		}
+		// Hovering a row label or header
+		else if (drag_enter_img.parentNode && drag_enter_img.parentNode.classList.contains("row")){
+			let image_node_list = drag_enter_img.parentNode.querySelectorAll("img.draggable, .item-container");
+
+			pre_calc_row_item_placement_marker_location(image_node_list, drag_enter_img);
+		}
+		// Hovering an item (image or container)
+		else if (drag_enter_img.classList.contains("draggable") || drag_enter_img.classList.contains("item-container") || drag_enter_img.classList.contains("item-label")) {
+			// Find the element for placement marker (prefer img, but container works too)
+			let elem_for_positioning = drag_enter_img;
+			if (drag_enter_img.classList.contains("item-container")) {
+				elem_for_positioning = drag_enter_img.querySelector("img.draggable") || drag_enter_img;
+			} else if (drag_enter_img.classList.contains("item-label")) {
+				elem_for_positioning = drag_enter_img.parentNode.querySelector("img.draggable") || drag_enter_img.parentNode;
+			}
+			set_item_placement_marker_location(elem_for_positioning, false);
+		}
+
+		document.body.appendChild(placement_marker_div);
+	});
+
+	elem.addEventListener('dragleave', (evt) => {
+		evt.target.classList.remove('drag-entered');
+	});
+
+	elem.addEventListener('dragover', (evt) => {
+		evt.preventDefault();
+	});
+
+	elem.addEventListener('drop', (evt) => {
+		evt.preventDefault();
+		evt.target.classList.remove('drag-entered');
+
+		if (!dragged_image) {
+			return;
+		}
+
+		let item_to_move = dragged_image;
+
+		// Find the item container if dragged_image is an img
+		if (dragged_image.tagName && dragged_image.tagName.toUpperCase() === 'IMG') {
+			item_to_move = dragged_image.closest('.item-container') || dragged_image.closest('.item') || dragged_image;
+		}
+
+		// Dragging one of the selected items drags all of them
+		let selected = get_selected_items();
+		if (selected.length > 1 && selected.includes(item_to_move)) {
+			let target = evt.target.classList.contains("row") ? null : drag_enter_img;
+			drop_selected_items(selected, elem, target);
+			return;
+		}
+
+		let moves = begin_item_moves([item_to_move]);
+
+		// Dragged onto the row
+		// Appends the item instead of using the index
+		if (evt.target.classList.contains("row")) {
+			drop_item(item_to_move, elem);
+		} else {
+			drop_item(item_to_move, elem, target_item_index);
+		}
+
+		record_item_moves(moves);
+		mark_unsaved();
+		update_untiered_count();
+	});
+}
+
+// Moves an item (its container, or a bare img for the old format) into elem, which is either a row
+// or the untiered pool. The item is placed before the item at target_index, or appended if it's undefined.
+// old_item_index must hold the item's original index (see get_item_index).
+function drop_item(item, elem, target_index) {
+	let old_item_row;
+	let item_to_move = item;
+	let dragged_image_parent = item_to_move.parentNode;
+	
+	// Check if it's already wrapped in an item span
+	if (dragged_image_parent.tagName.toUpperCase() === 'SPAN' &&
+			dragged_image_parent.classList.contains('item')) {
+		// We were already in a tier
+		let containing_tr = dragged_image_parent.parentNode;
+
+		// This is the same as setting the variable at the start of the grab
+		old_item_row = containing_tr.parentNode;
+
+		containing_tr.removeChild(dragged_image_parent);
+		item_to_move = dragged_image_parent; // Use the item span
+	} else {
+		// Remove from current location
+		dragged_image_parent.removeChild(item_to_move);
+	}
+	
+	// If item_to_move is not already an item span, wrap it
+	let td;
+	if (item_to_move.classList && item_to_move.classList.contains('item')) {
+		td = item_to_move;
+	} else {
+		td = document.createElement('span');
+		td.classList.add('item');
+		td.appendChild(item_to_move);
+	}
+	
+	let items_container = elem.querySelector('.items');
+	if (!items_container) {
+		// Quite lazy hack for <section class='images'>
+		items_container = elem;
+	}
+	
+	// Checks if the item is moving within the same row
+	// Used as a fix along with target_index to ensure the item is placed to the left of the target
+	// For example: Without this, on the same row, moving an item from index 2 -> 5 will place the item
+	// to the right of the image (target item). This will ensure the image will always be to the left
+	// of the target.
+	if (items_container.parentNode === old_item_row && old_item_index < target_index){
+		// Same row
+		target_index = target_index - 1;
+	}
+
+	if (target_index === undefined) {
+		items_container.appendChild(td);
+	} else {
+		items_container.insertBefore(td, items_container.children[target_index]);
+	}
+}
+
+// Mobile browsers don't support native drag and drop, so for touch and pen input it's emulated with
+// pointer events: a long press picks up the item, a ghost image follows the finger and the drag events
+// the droppables listen to (dragenter, dragleave, drop) are dispatched to the element under it.
+// This way rows, the untiered pool and the trash share the same drop logic as mouse dragging.
+function on_item_pointerdown(evt) {
+	if (evt.pointerType === 'mouse' || touch_drag) {
+		return;
+	}
+	touch_drag = {
+		pointer_id: evt.pointerId,
+		container: evt.currentTarget.closest('.item-container'),
+		start_x: evt.clientX,
+		start_y: evt.clientY,
+		x: evt.clientX,
+		y: evt.clientY,
+		active: false,
+		ghost: null,
+		hovered: null,
+		timer: setTimeout(start_touch_drag, LONG_PRESS_MS)
+	};
+}
+
+function start_touch_drag() {
+	touch_drag.active = true;
+	dragged_image = touch_drag.container;
+	dragged_image.classList.add('dragged');
+	old_item_index = get_item_index(dragged_image);
+
+	let ghost = dragged_image.querySelector('img.draggable').cloneNode(false);
+	ghost.className = 'drag-ghost';
+	document.body.appendChild(ghost);
+	touch_drag.ghost = ghost;
+
+	update_touch_drag();
+	requestAnimationFrame(auto_scroll_step);
+}
+
+// Moves the ghost under the finger and sends drag events when the hovered element changes
+function update_touch_drag() {
+	touch_drag.ghost.style.left = `${touch_drag.x}px`;
+	touch_drag.ghost.style.top = `${touch_drag.y}px`;
+
+	let hovered = document.elementFromPoint(touch_drag.x, touch_drag.y);
+	if (hovered && !hovered.closest('.droppable')) {
+		hovered = null;
+	}
+	if (hovered !== touch_drag.hovered) {
+		touch_drag.hovered?.dispatchEvent(new Event('dragleave', { bubbles: true }));
+		touch_drag.hovered = hovered;
+		hovered?.dispatchEvent(new Event('dragenter', { bubbles: true, cancelable: true }));
+	}
+}
+
+// Returns how much to scroll when pos is close to the start or end edges
+function get_auto_scroll_speed(pos, start, end) {
+	if (pos < start + AUTO_SCROLL_EDGE) {
+		return -Math.ceil(AUTO_SCROLL_MAX_SPEED * Math.min(1, (start + AUTO_SCROLL_EDGE - pos) / AUTO_SCROLL_EDGE));
+	}
+	if (pos > end - AUTO_SCROLL_EDGE) {
+		return Math.ceil(AUTO_SCROLL_MAX_SPEED * Math.min(1, (pos - end + AUTO_SCROLL_EDGE) / AUTO_SCROLL_EDGE));
+	}
+	return 0;
+}
+
+// Scrolls the page (and the untiered pool, which has its own scrollbar) while the finger is near their edges
+function auto_scroll_step() {
+	if (!touch_drag || !touch_drag.active) {
+		return;
+	}
+	let page_speed = get_auto_scroll_speed(touch_drag.y, 0, window.innerHeight);
+	if (page_speed !== 0) {
+		window.scrollBy(0, page_speed);
+	}
+	let pool_speed = 0;
+	let pool_rect = untiered_images.getBoundingClientRect();
+	if (touch_drag.x >= pool_rect.left && touch_drag.x <= pool_rect.right &&
+			touch_drag.y >= pool_rect.top && touch_drag.y <= pool_rect.bottom) {
+		pool_speed = get_auto_scroll_speed(touch_drag.y, pool_rect.top, pool_rect.bottom);
+		untiered_images.scrollTop += pool_speed;
+	}
+	if (page_speed !== 0 || pool_speed !== 0) {
+		// Something else may be under the finger now
+		update_touch_drag();
+	}
+	requestAnimationFrame(auto_scroll_step);
+}
+
+function end_touch_drag(drop) {
+	clearTimeout(touch_drag.timer);
+	if (touch_drag.active) {
+		if (drop && touch_drag.hovered) {
+			touch_drag.hovered.dispatchEvent(new Event('drop', { bubbles: true, cancelable: true }));
+		} else {
+			touch_drag.hovered?.dispatchEvent(new Event('dragleave', { bubbles: true }));
+		}
+		touch_drag.ghost.remove();
+		end_drag();
+	}
+	touch_drag = null;
+}
+
+function bind_touch_drag_events() {
+	window.addEventListener('pointermove', (evt) => {
+		if (!touch_drag || evt.pointerId !== touch_drag.pointer_id) {
+			return;
+		}
+		touch_drag.x = evt.clientX;
+		touch_drag.y = evt.clientY;
+		if (touch_drag.active) {
+			update_touch_drag();
+		} else if (Math.hypot(touch_drag.x - touch_drag.start_x, touch_drag.y - touch_drag.start_y) > LONG_PRESS_TOLERANCE) {
+			// Moved before the long press: the user is scrolling
+			end_touch_drag(false);
+		}
+	});
+	window.addEventListener('pointerup', (evt) => {
+		if (touch_drag && evt.pointerId === touch_drag.pointer_id) {
+			end_touch_drag(true);
+		}
+	});
+	window.addEventListener('pointercancel', (evt) => {
+		if (touch_drag && evt.pointerId === touch_drag.pointer_id) {
+			end_touch_drag(false);
+		}
+	});
+	// Keep the page from scrolling under the finger while dragging
+	document.addEventListener('touchmove', (evt) => {
+		if (touch_drag && touch_drag.active) {
+			evt.preventDefault();
+		}
+	}, { passive: false });
+	// Don't open the image context menu on long press
+	document.addEventListener('contextmenu', (evt) => {
+		if (touch_drag) {
+			evt.preventDefault();
+		}
+	});
+}
+
+// Returns the item lists of the board, top to bottom: the rows' span.items, then the untiered pool
+function get_item_lists() {
+	let lists = Array.from(tierlist_div.querySelectorAll('.row .items'));
+	lists.push(untiered_images);
+	return lists;
+}
+
+// Returns the item containers of an item list, in order (one per child of the list)
+function get_list_items(list) {
+	return Array.from(list.children)
+		.map((child) => child.classList.contains('item-container') ? child : child.querySelector('.item-container'))
+		.filter((container) => container);
+}
+
+// Returns the element accepting drops for an item list: its row, or the untiered pool itself
+function get_list_drop_target(list) {
+	return list === untiered_images ? untiered_images : list.closest('.row');
+}
+
+function get_item_list(container) {
+	let position = get_item_position(container);
+	return position ? position.parent : null;
+}
+
+// Like get_list_items(), but without the items hidden by the search
+function get_focusable_items(list) {
+	return get_list_items(list).filter((container) => !container.closest('.filtered-out'));
+}
+
+// Moves the focus from an item to the next one in the given direction, flowing across item lists
+function move_item_focus(container, key) {
+	let lists = get_item_lists();
+	let list_idx = lists.indexOf(get_item_list(container));
+	let items = get_focusable_items(lists[list_idx]);
+	let idx = items.indexOf(container);
+	let target;
+
+	if (key === 'ArrowLeft' || key === 'ArrowRight') {
+		let step = key === 'ArrowLeft' ? -1 : 1;
+		target = items[idx + step];
+		for (let i = list_idx + step; target === undefined && i >= 0 && i < lists.length; i += step) {
+			let other_items = get_focusable_items(lists[i]);
+			target = step < 0 ? other_items[other_items.length - 1] : other_items[0];
+		}
 	} else {
-		placement_marker_div.style.marginLeft = h_offset + "px";
+		// Keep roughly the same column, skipping empty lists
+		let step = key === 'ArrowUp' ? -1 : 1;
+		for (let i = list_idx + step; target === undefined && i >= 0 && i < lists.length; i += step) {
+			let other_items = get_focusable_items(lists[i]);
+			target = other_items[Math.min(idx, other_items.length - 1)];
+		}
 	}
 
-	placement_marker_div.style.top = `${elem.offsetTop}px`;
+	target?.focus();
 }
 
-function pre_calc_row_item_placement_marker_location(image_node_list, drag_enter_img) {
-	let last_image = image_node_list[image_node_list.length - 1];
-	
-	if (last_image !== undefined) {
-		// Rows has items
-		// If it's an item-container, get the img element for positioning
-		let elem_for_positioning = last_image;
-		if (last_image.classList && last_image.classList.contains('item-container')) {
-			elem_for_positioning = last_image.querySelector('img.draggable') || last_image;
-		}
-		set_item_placement_marker_location(elem_for_positioning, true);
-	}
-	else {
-		// Row is empty
-		set_item_placement_marker_location(drag_enter_img, true);
+// Shows where the picked up item would be dropped, with the same marker used while dragging
+function show_keyboard_target() {
+	document.querySelectorAll('.drag-entered').forEach((elem) => elem.classList.remove('drag-entered'));
+	let list = keyboard_target.list;
+	let items = get_list_items(list);
+	let drop_target = get_list_drop_target(list);
+	drop_target.classList.add('drag-entered');
+
+	if (keyboard_target.index < items.length) {
+		let target_item = items[keyboard_target.index];
+		set_item_placement_marker_location(target_item.querySelector('img.draggable') || target_item, false);
+	} else {
+		pre_calc_row_item_placement_marker_location(items, drop_target);
 	}
+	document.body.appendChild(placement_marker_div);
+	drop_target.scrollIntoView({ block: 'nearest' });
 }
 
-function end_drag(evt) {
-	// Remove the placement marker after valid and invalid drop
+function pick_up_item(container) {
+	keyboard_picked_item = container;
+	container.classList.add('picked-up');
+	let list = get_item_list(container);
+	keyboard_target = { list: list, index: get_list_items(list).indexOf(container) };
+	show_keyboard_target();
+}
+
+function end_keyboard_placement() {
 	if (placement_marker_div.parentNode === document.body) {
 		document.body.removeChild(placement_marker_div);
 	}
-	dragged_image?.classList.remove("dragged");
-	dragged_image = null;
+	document.querySelectorAll('.drag-entered').forEach((elem) => elem.classList.remove('drag-entered'));
+	keyboard_picked_item.classList.remove('picked-up');
+	keyboard_picked_item = null;
+	keyboard_target = undefined;
 }
 
-window.addEventListener('mouseup', end_drag);
-window.addEventListener('dragend', end_drag);
-
-function make_accept_drop(elem) {
-	elem.classList.add('droppable');
-
-  	let target_item_index;
-  	let drag_enter_img;
+// Drops the picked up item before the targeted item (or at the end of the list), like drag and drop does
+function drop_picked_item() {
+	let container = keyboard_picked_item;
+	let list = keyboard_target.list;
+	let target_index = keyboard_target.index < list.children.length ? keyboard_target.index : undefined;
+	// drop_item() only makes up for the removal of the item when it moves forward within a row
+	let own_index = get_list_items(list).indexOf(container);
+	if (list === untiered_images && own_index >= 0 && target_index > own_index) {
+		target_index--;
+	}
+	end_keyboard_placement();
 
-	// Used to add and remove the placement marker
-	placement_marker_div = document.createElement('div');
-	placement_marker_div.classList.add("vl");
+	old_item_index = get_item_index(container);
+	let moves = begin_item_moves([container]);
+	drop_item(container, get_list_drop_target(list), target_index);
+	if (record_item_moves(moves)) {
+		mark_unsaved();
+		update_untiered_count();
+	}
+	container.focus();
+}
 
-	elem.addEventListener('dragenter', (evt) => {
-		drag_enter_img = evt.target;
-		drag_enter_img.classList.add('drag-entered');
-		
-		// Find the actual element to use for index calculation
-		// Could be item-container, img, item-label, or item span
-		let target_elem = drag_enter_img;
-		if (drag_enter_img.classList && drag_enter_img.classList.contains('item-label')) {
-			// If hovering over label, use the container
-			target_elem = drag_enter_img.closest('.item-container') || drag_enter_img.parentNode;
-		} else if (drag_enter_img.tagName && drag_enter_img.tagName.toUpperCase() === 'IMG' && !drag_enter_img.classList.contains('draggable')) {
-			// Non-draggable img (like button icons), skip
+function move_keyboard_target(key) {
+	let lists = get_item_lists();
+	if (key === 'ArrowLeft' || key === 'ArrowRight') {
+		let len = keyboard_target.list.children.length;
+		let step = key === 'ArrowLeft' ? -1 : 1;
+		let index = keyboard_target.index + step;
+		// Before and after the picked item is the same place: skip the second one
+		let own_index = get_list_items(keyboard_target.list).indexOf(keyboard_picked_item);
+		if (own_index >= 0 && (index === own_index || index === own_index + 1) &&
+				(keyboard_target.index === own_index || keyboard_target.index === own_index + 1)) {
+			index += step;
+		}
+		keyboard_target.index = Math.min(Math.max(index, 0), len);
+	} else {
+		let list_idx = lists.indexOf(keyboard_target.list) + (key === 'ArrowUp' ? -1 : 1);
+		if (list_idx < 0 || list_idx >= lists.length) {
 			return;
 		}
-		
-		// Grabs the index of the item that the dragged item is hovering.
-		// Used for placing items within the row
-		target_item_index = get_item_index(target_elem);
-
-		// Hovering a row
-		if (drag_enter_img.classList.contains("row") || drag_enter_img.classList.contains("images")){
-			let image_node_list = drag_enter_img.querySelectorAll("img.draggable, .item-container");
+		keyboard_target.list = lists[list_idx];
+		keyboard_target.index = Math.min(keyboard_target.index, keyboard_target.list.children.length);
+	}
+	show_keyboard_target();
+}
 
-			pre_calc_row_item_placement_marker_location(image_node_list, drag_enter_img);
+// Items can be focused and moved with the keyboard: arrows move the focus, Space or Enter picks up
+// the focused item, arrows then choose where it goes, Space or Enter drops it and Escape cancels.
+function bind_keyboard_placement_events() {
+	document.addEventListener('keydown', (evt) => {
+		if (!evt.target.classList || !evt.target.classList.contains('item-container') ||
+				evt.ctrlKey || evt.metaKey || evt.altKey) {
+			return;
 		}
-		// Hovering a row label or header
-		else if (drag_enter_img.parentNode && drag_enter_img.parentNode.classList.contains("row")){
-			let image_node_list = drag_enter_img.parentNode.querySelectorAll("img.draggable, .item-container");
+		let container = evt.target;
+		let is_arrow = ['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown'].includes(evt.key);
 
-			pre_calc_row_item_placement_marker_location(image_node_list, drag_enter_img);
-		}
-		// Hovering an item (image or container)
-		else if (drag_enter_img.classList.contains("draggable") || drag_enter_img.classList.contains("item-container") || drag_enter_img.classList.contains("item-label")) {
-			// Find the element for placement marker (prefer img, but container works too)
-			let elem_for_positioning = drag_enter_img;
-			if (drag_enter_img.classList.contains("item-container")) {
-				elem_for_positioning = drag_enter_img.querySelector("img.draggable") || drag_enter_img;
-			} else if (drag_enter_img.classList.contains("item-label")) {
-				elem_for_positioning = drag_enter_img.parentNode.querySelector("img.draggable") || drag_enter_img.parentNode;
+		if (keyboard_picked_item) {
+			if (is_arrow) {
+				move_keyboard_target(evt.key);
+			} else if (evt.key === 'Enter' || evt.key === ' ') {
+				drop_picked_item();
+			} else if (evt.key === 'Escape') {
+				end_keyboard_placement();
+			} else {
+				return;
 			}
-			set_item_placement_marker_location(elem_for_positioning, false);
+		} else if (is_arrow) {
+			move_item_focus(container, evt.key);
+		} else if (evt.key === 'Enter' || evt.key === ' ') {
+			pick_up_item(container);
+		} else if (evt.key === 'F2') {
+			start_item_rename(container);
+		} else {
+			return;
 		}
-
-		document.body.appendChild(placement_marker_div);
+		evt.preventDefault();
 	});
 
-	elem.addEventListener('dragleave', (evt) => {
-		evt.target.classList.remove('drag-entered');
+	// Losing the focus (e.g. clicking elsewhere) cancels the placement
+	document.addEventListener('focusout', (evt) => {
+		if (keyboard_picked_item && evt.target === keyboard_picked_item) {
+			end_keyboard_placement();
+		}
 	});
+}
 
-	elem.addEventListener('dragover', (evt) => {
-		evt.preventDefault();
-	});
+// Returns the selected items in board order: row by row, then the untiered pool.
+// Items hidden by the search are left out, so that bulk actions only affect what is shown.
+function get_selected_items() {
+	return get_item_lists().flatMap(get_focusable_items).filter((container) => container.classList.contains('selected'));
+}
 
-	elem.addEventListener('drop', (evt) => {
-		evt.preventDefault();
-		evt.target.classList.remove('drag-entered');
+function set_item_selected(container, selected) {
+	container.classList.toggle('selected', selected);
+}
 
-		if (!dragged_image) {
-			return;
+function clear_selection() {
+	document.querySelectorAll('.item-container.selected').forEach((container) => set_item_selected(container, false));
+	selection_anchor = null;
+	update_selection_bar();
+}
+
+// Ctrl-click (Cmd-click on Mac) toggles an item, Shift-click selects the range from the last clicked item.
+// A plain click clears the selection.
+function on_item_click(evt, container) {
+	// Clicks in the rename field
+	if (evt.target.closest('input')) {
+		return;
+	}
+	if (evt.shiftKey && selection_anchor && selection_anchor.isConnected) {
+		// Items hidden by the search are not part of the range
+		let items = get_item_lists().flatMap(get_focusable_items);
+		let to = items.indexOf(container);
+		let from = items.includes(selection_anchor) ? items.indexOf(selection_anchor) : to;
+		if (!(evt.ctrlKey || evt.metaKey)) {
+			items.forEach((item) => set_item_selected(item, false));
 		}
+		items.slice(Math.min(from, to), Math.max(from, to) + 1).forEach((item) => set_item_selected(item, true));
+	} else if (evt.ctrlKey || evt.metaKey) {
+		set_item_selected(container, !container.classList.contains('selected'));
+		selection_anchor = container;
+	} else {
+		clear_selection();
+		return;
+	}
+	update_selection_bar();
+}
 
-		let old_item_row;
-		let item_to_move = dragged_image;
+// Shows the bulk actions while items are selected
+function update_selection_bar() {
+	let bar = document.getElementById('selection-bar');
+	if (!bar) {
+		return;
+	}
+	let count = get_selected_items().length;
+	bar.hidden = count === 0;
+	document.getElementById('selection-count').textContent = `${count} item${count === 1 ? '' : 's'} selected`;
+	let move = document.getElementById('selection-move');
+	while (move.children.length > 1) {
+		move.removeChild(move.lastChild);
+	}
+	tierlist_div.querySelectorAll('.row').forEach((row, i) => {
+		move.appendChild(new Option(`Tier ${row.querySelector('.header label').innerText}`, i));
+	});
+	move.value = '';
+}
 
-		// Find the item container if dragged_image is an img
-		if (dragged_image.tagName && dragged_image.tagName.toUpperCase() === 'IMG') {
-			item_to_move = dragged_image.closest('.item-container') || dragged_image.closest('.item') || dragged_image;
-		}
+// Moves the selected items to a list (a row's span.items or the untiered pool), before the given item
+// container or at the end if null. They keep their relative order. This is a single undoable step.
+function move_items_to(containers, list, before) {
+	let moves = begin_item_moves(containers);
+	containers.forEach(detach_item);
+	let index = list.children.length;
+	if (before) {
+		let node = before.parentNode.classList.contains('item') ? before.parentNode : before;
+		index = Array.prototype.indexOf.call(list.children, node);
+	}
+	containers.forEach((container, i) => place_item(container, { parent: list, index: index + i }));
+	if (record_item_moves(moves)) {
+		mark_unsaved();
+	}
+	update_untiered_count();
+}
 
-		let dragged_image_parent = item_to_move.parentNode;
-		
-		// Check if it's already wrapped in an item span
-		if (dragged_image_parent.tagName.toUpperCase() === 'SPAN' &&
-				dragged_image_parent.classList.contains('item')) {
-			// We were already in a tier
-			let containing_tr = dragged_image_parent.parentNode;
+// Drops the selected items onto elem (a row or the untiered pool), before the hovered item if any
+function drop_selected_items(selected, elem, hovered) {
+	let list = elem.querySelector('.items') || elem;
+	let before = hovered && hovered.closest ? hovered.closest('.item-container') : null;
+	if (before && !list.contains(before)) {
+		before = null;
+	}
+	// Dropped onto one of the selected items: the items go before the next unselected one
+	if (before && before.classList.contains('selected')) {
+		let items = get_list_items(list);
+		before = items.slice(items.indexOf(before)).find((container) => !container.classList.contains('selected')) ?? null;
+	}
+	move_items_to(selected, list, before);
+}
 
-			// This is the same as setting the variable at the start of the grab
-			old_item_row = containing_tr.parentNode;
+// Sorts the selected items by name, each list keeping the same places for its selected items
+function sort_selected_items_by_name() {
+	let moves = begin_item_moves(get_selected_items());
+	let collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+	let name = (container) => container.querySelector('.item-label').textContent;
+	for (let list of get_item_lists()) {
+		let items = get_list_items(list);
+		let indices = [];
+		items.forEach((container, i) => {
+			if (container.classList.contains('selected')) {
+				indices.push(i);
+			}
+		});
+		let sorted = indices.map((i) => items[i]).sort((a, b) => collator.compare(name(a), name(b)));
+		sorted.forEach(detach_item);
+		sorted.forEach((container, i) => place_item(container, { parent: list, index: indices[i] }));
+	}
+	if (record_item_moves(moves)) {
+		mark_unsaved();
+	}
+	update_untiered_count();
+}
 
-			containing_tr.removeChild(dragged_image_parent);
-			item_to_move = dragged_image_parent; // Use the item span
-		} else {
-			// Remove from current location
-			dragged_image_parent.removeChild(item_to_move);
-		}
-		
-		// If item_to_move is not already an item span, wrap it
-		let td;
-		if (item_to_move.classList && item_to_move.classList.contains('item')) {
-			td = item_to_move;
-		} else {
-			td = document.createElement('span');
-			td.classList.add('item');
-			td.appendChild(item_to_move);
+// Selects the items touched by the rectangle dragged from an empty spot of the tierlist or the untiered pool
+function start_selection_band(evt) {
+	if (evt.button !== 0 || !evt.target.closest('.tierlist, .images') ||
+			evt.target.closest('.item-container, .header, .row-buttons, input, button, label')) {
+		return;
+	}
+	let additive = evt.ctrlKey || evt.metaKey || evt.shiftKey;
+	if (!additive) {
+		clear_selection();
+	}
+	let div = document.createElement('div');
+	div.classList.add('selection-band');
+	document.body.appendChild(div);
+	selection_band = {
+		div: div,
+		start_x: evt.clientX,
+		start_y: evt.clientY,
+		// Items selected before, which stay selected
+		kept: additive ? get_selected_items() : []
+	};
+	update_selection_band(evt);
+	evt.preventDefault();
+}
+
+function update_selection_band(evt) {
+	let left = Math.min(selection_band.start_x, evt.clientX);
+	let top = Math.min(selection_band.start_y, evt.clientY);
+	let right = Math.max(selection_band.start_x, evt.clientX);
+	let bottom = Math.max(selection_band.start_y, evt.clientY);
+	Object.assign(selection_band.div.style, {
+		left: `${left}px`,
+		top: `${top}px`,
+		width: `${right - left}px`,
+		height: `${bottom - top}px`
+	});
+	for (let container of get_item_lists().flatMap(get_focusable_items)) {
+		let rect = container.getBoundingClientRect();
+		let touched = rect.width > 0 && rect.left < right && rect.right > left && rect.top < bottom && rect.bottom > top;
+		set_item_selected(container, touched || selection_band.kept.includes(container));
+	}
+	update_selection_bar();
+}
+
+function end_selection_band() {
+	selection_band.div.remove();
+	selection_band = null;
+}
+
+function bind_selection_events() {
+	document.addEventListener('mousedown', start_selection_band);
+	window.addEventListener('mousemove', (evt) => {
+		if (selection_band) {
+			update_selection_band(evt);
 		}
-		
-		let items_container = elem.querySelector('.items');
-		if (!items_container) {
-			// Quite lazy hack for <section class='images'>
-			items_container = elem;
+	});
+	window.addEventListener('mouseup', () => {
+		if (selection_band) {
+			end_selection_band();
 		}
-		
-		// Checks if the item is moving within the same row
-		// Used as a fix along with target_item_index to ensure the item is placed to the left of the target
-		// For example: Without this, on the same row, moving an item from index 2 -> 5 will place the item
-		// to the right of the image (target item). This will ensure the image will always be to the left
-		// of the target.
-		if (items_container.parentNode === old_item_row && old_item_index < target_item_index){
-			// Same row
-			target_item_index = target_item_index - 1;
+	});
+	document.addEventListener('keydown', (evt) => {
+		if (evt.key === 'Escape' && !document.querySelector('dialog[open]') && get_selected_items().length > 0) {
+			clear_selection();
 		}
-	
-		// Dragged onto the row
-		// Appends the item instead of using the index
-		if (evt.target.classList.contains("row")) {
-			// This is a row
-			items_container.appendChild(td);
-		} else {
-			items_container.insertBefore(td, items_container.children[target_item_index]);
+	});
+	let move = document.getElementById('selection-move');
+	move.addEventListener('change', () => {
+		let row = tierlist_div.querySelectorAll('.row')[parseInt(move.value, 10)];
+		if (row) {
+			move_items_to(get_selected_items(), row.querySelector('.items'), null);
 		}
-
-		unsaved_changes = true;
-		update_untiered_count();
+		update_selection_bar();
+	});
+	document.getElementById('selection-sort-input').addEventListener('click', sort_selected_items_by_name);
+	document.getElementById('selection-pool-input').addEventListener('click', () => {
+		move_items_to(get_selected_items(), untiered_images, null);
 	});
+	document.getElementById('selection-clear-input').addEventListener('click', clear_selection);
+	update_selection_bar();
 }
 
 function enable_edit_on_click(container, input, label, row_color_input) {
+	// Label (and color) before the current edit, to record it in the history
+	let state_before_edit;
+
+	function get_state() {
+		return { text: label.innerText, color: row_color_input?.value };
+	}
+
+	function set_state(state) {
+		label.innerText = state.text;
+		if (row_color_input !== undefined) {
+			row_color_input.value = state.color;
+			container.style.backgroundColor = state.color;
+		}
+	}
+
 	function change_label(evt) {
 		input.style.display = 'none';
 		label.innerText = input.value;
@@ -753,7 +4347,17 @@ function enable_edit_on_click(container, input, label, row_color_input) {
 			row_color_input.style.display = "none";
 		}
 
-		unsaved_changes = true;
+		let new_state = get_state();
+		let old_state = state_before_edit;
+		if (old_state !== undefined && (old_state.text !== new_state.text || old_state.color !== new_state.color)) {
+			push_history({
+				undo: () => set_state(old_state),
+				redo: () => set_state(new_state)
+			});
+		}
+		state_before_edit = new_state;
+
+		mark_unsaved();
 	}
 
 	// Close the header and apply header edits if the row is open.
@@ -782,6 +4386,7 @@ function enable_edit_on_click(container, input, label, row_color_input) {
 		if (evt.target.classList.value === "header" && input.style.display === 'inline') {
 			change_label();
 		} else {
+			state_before_edit = get_state();
 			label.style.display = 'none';
 			input.value = label.innerText.substring(0, MAX_NAME_LEN);
 			input.style.display = 'inline';
@@ -814,7 +4419,7 @@ function create_label_input(row, row_idx, row_name) {
 	label.innerText = row_name;
 
 	let header = row.querySelector('.header');
-	all_headers.splice(row_idx, 0, [header, input, label]);
+	insert_header_entry(row, [header, input, label]);
 	header.appendChild(label);
 	header.appendChild(input);
 
@@ -862,8 +4467,7 @@ function add_row(index, name) {
 		let rows = Array.from(tierlist_div.children);
 		let idx = rows.indexOf(parent_div);
 		console.assert(idx >= 0);
-		add_row(idx, '');
-		recompute_header_colors(idx);
+		insert_new_row(idx, '');
 	});
 	let btn_rm = document.createElement('input');
 	btn_rm.type = "button";
@@ -890,8 +4494,7 @@ function add_row(index, name) {
 		let rows = Array.from(tierlist_div.children);
 		let idx = rows.indexOf(parent_div);
 		console.assert(idx >= 0);
-		add_row(idx + 1, name);
-		recompute_header_colors(idx + 1);
+		insert_new_row(idx + 1, name);
 	});
 	row_buttons.appendChild(btn_plus_up);
 	row_buttons.appendChild(btn_rm);
@@ -907,15 +4510,52 @@ function add_row(index, name) {
 	}
 
 	make_accept_drop(div);
+	make_row_draggable(div);
 	create_label_input(div, index, name);
 
 	return div;
 }
 
+// Adds a new empty row from the row buttons, recording it in the history
+function insert_new_row(idx, name) {
+	let row = add_row(idx, name);
+	recompute_header_colors(idx);
+	let entry;
+	push_history({
+		undo: () => {
+			entry = remove_header_entry(row);
+			tierlist_div.removeChild(row);
+		},
+		redo: () => {
+			tierlist_div.insertBefore(row, tierlist_div.children[idx] ?? null);
+			insert_header_entry(row, entry);
+		}
+	});
+	mark_unsaved();
+}
+
 function rm_row(idx) {
 	let row = tierlist_div.children[idx];
+	let moves = begin_item_moves(Array.from(row.querySelectorAll('.item-container')));
 	reset_row(row);
+	let entry = remove_header_entry(row);
 	tierlist_div.removeChild(row);
+	moves.forEach((move) => {
+		move.to = get_item_position(move.container);
+	});
+	push_history({
+		undo: () => {
+			tierlist_div.insertBefore(row, tierlist_div.children[idx] ?? null);
+			insert_header_entry(row, entry);
+			restore_item_positions(moves, 'from');
+		},
+		redo: () => {
+			restore_item_positions(moves, 'to');
+			remove_header_entry(row);
+			tierlist_div.removeChild(row);
+		}
+	});
+	mark_unsaved();
 	update_untiered_count();
 }
 
@@ -937,6 +4577,98 @@ function recompute_header_colors(idx) {
 	}
 }
 
+// Lets a row be dragged by its header before or after another row
+function make_row_draggable(row) {
+	let header = row.querySelector('.header');
+	header.draggable = true;
+	header.addEventListener('dragstart', (evt) => {
+		// Not when selecting the text of the name being edited
+		if (evt.target !== header) {
+			return;
+		}
+		dragged_row = row;
+		row.classList.add('dragged-row');
+		evt.dataTransfer.effectAllowed = 'move';
+		evt.dataTransfer.setData('text/plain', '');
+	});
+	header.addEventListener('dragend', () => {
+		row.classList.remove('dragged-row');
+		tierlist_div.querySelectorAll('.row-drop-before, .row-drop-after').forEach((other) => {
+			other.classList.remove('row-drop-before', 'row-drop-after');
+		});
+		dragged_row = null;
+	});
+	row.addEventListener('dragover', (evt) => {
+		if (!dragged_row) {
+			return;
+		}
+		evt.preventDefault();
+		let after = is_row_drop_after(row, evt);
+		row.classList.toggle('row-drop-before', !after);
+		row.classList.toggle('row-drop-after', after);
+	});
+	row.addEventListener('dragleave', (evt) => {
+		if (dragged_row && !row.contains(evt.relatedTarget)) {
+			row.classList.remove('row-drop-before', 'row-drop-after');
+		}
+	});
+	row.addEventListener('drop', (evt) => {
+		if (!dragged_row) {
+			return;
+		}
+		evt.preventDefault();
+		row.classList.remove('row-drop-before', 'row-drop-after');
+		move_row(dragged_row, is_row_drop_after(row, evt) ? row.nextElementSibling : row);
+	});
+}
+
+// Whether the dragged row goes after the hovered row: when over its second half (its right half in the vertical layout)
+function is_row_drop_after(row, evt) {
+	let rect = row.getBoundingClientRect();
+	if (cur_layout === LAYOUT_VERTICAL) {
+		return evt.clientX > rect.left + rect.width / 2;
+	}
+	return evt.clientY > rect.top + rect.height / 2;
+}
+
+// Moves a row, with its items, name and color, before another row (at the end if null). This is undoable.
+function move_row(row, before) {
+	let old_next = row.nextElementSibling;
+	if (row === before || old_next === before) {
+		return;
+	}
+	let place = (next) => {
+		tierlist_div.insertBefore(row, next);
+		update_header_order(row);
+	};
+	place(before);
+	push_history({
+		undo: () => place(old_next),
+		redo: () => place(before)
+	});
+	resize_headers();
+	update_selection_bar();
+	mark_unsaved();
+}
+
+// Moves the entry of a row in all_headers so that all_headers stays in the order of the rows
+function update_header_order(row) {
+	insert_header_entry(row, remove_header_entry(row));
+}
+
+// Removes the entry of a row from all_headers, and returns it
+function remove_header_entry(row) {
+	let header = row.querySelector('.header');
+	return all_headers.splice(all_headers.findIndex(([other_header]) => other_header === header), 1)[0];
+}
+
+// Adds the entry of a row put (back) on the board to all_headers, at the position of the row
+function insert_header_entry(row, entry) {
+	let next_row = row.nextElementSibling;
+	let next_index = next_row ? all_headers.findIndex(([other_header]) => other_header === next_row.querySelector('.header')) : -1;
+	all_headers.splice(next_index < 0 ? all_headers.length : next_index, 0, entry);
+}
+
 function bind_trash_events() {
 	let trash = document.getElementById('trash');
 	trash.classList.add('droppable');
@@ -944,7 +4676,7 @@ function bind_trash_events() {
 		evt.preventDefault();
 		evt.target.src = 'assets/images/trash_bin_open.png';
 	});
-	trash.addEventListener('dragexit', (evt) => {
+	trash.addEventListener('dragleave', (evt) => {
 		evt.preventDefault();
 		evt.target.src = 'assets/images/trash_bin.png';
 	});
@@ -955,18 +4687,145 @@ function bind_trash_events() {
 		evt.preventDefault();
 		evt.target.src = 'assets/images/trash_bin.png';
 		if (dragged_image) {
-			let dragged_image_parent = dragged_image.parentNode;
-			if (dragged_image_parent.tagName.toUpperCase() === 'SPAN' &&
-					dragged_image_parent.classList.contains('item'))
-			{
-				// We were already in a tier
-				let containing_tr = dragged_image_parent.parentNode;
-				containing_tr.removeChild(dragged_image_parent);
-			}
-			dragged_image.remove();
-			update_untiered_count();
+			// Dragging one of the selected items deletes all of them
+			let selected = get_selected_items();
+			trash_items(selected.includes(dragged_image) ? selected : [dragged_image]);
+		}
+	});
+	trash.addEventListener('click', () => {
+		update_recycle_bin();
+		document.getElementById('recycle-bin-dialog').showModal();
+	});
+	document.getElementById('recycle-bin-restore-all').addEventListener('click', () => {
+		restore_trashed_items(recycle_bin.slice());
+	});
+	document.getElementById('recycle-bin-empty').addEventListener('click', () => {
+		if (recycle_bin.length > 0 && confirm(`Delete the ${recycle_bin.length} items of the recycle bin for good?`)) {
+			purge_trashed_items(recycle_bin.slice());
+		}
+	});
+	update_recycle_bin();
+}
+
+function remove_from_recycle_bin(entries) {
+	recycle_bin = recycle_bin.filter((entry) => !entries.includes(entry));
+}
+
+// Moves items from the board to the recycle bin. This is a single undoable step.
+function trash_items(containers) {
+	let moves = begin_item_moves(containers).filter((move) => move.from !== null);
+	let entries = moves.map((move) => {
+		let row = move.from.parent.closest('.row');
+		return {
+			container: move.container,
+			list: move.from.parent,
+			tier: row ? row.querySelector('.header label').innerText : null,
+			index: move.from.index
+		};
+	});
+	moves.forEach((move) => {
+		// Not selected anymore once restored
+		set_item_selected(move.container, false);
+		detach_item(move.container);
+		move.to = null;
+	});
+	recycle_bin.push(...entries);
+	// Items purged from the recycle bin meanwhile are not restored by undoing
+	let undone_moves = moves;
+	push_history({
+		undo: () => {
+			undone_moves = moves.filter((move, i) => recycle_bin.includes(entries[i]));
+			restore_item_positions(undone_moves, 'from');
+			remove_from_recycle_bin(entries);
+		},
+		redo: () => {
+			restore_item_positions(undone_moves, 'to');
+			recycle_bin.push(...entries.filter((entry) => undone_moves.some((move) => move.container === entry.container)));
+		}
+	});
+	mark_unsaved();
+	update_recycle_bin();
+	update_selection_bar();
+	update_untiered_count();
+}
+
+// Puts items of the recycle bin back at their place: same row and index, or the untiered pool if their row
+// is gone. Items loaded from a file go back to the row with the same name. This is a single undoable step.
+function restore_trashed_items(entries) {
+	if (entries.length === 0) {
+		return;
+	}
+	remove_from_recycle_bin(entries);
+	// By ascending index, so that items trashed together get their places back
+	entries.slice().sort((a, b) => a.index - b.index).forEach((entry) => {
+		let list = entry.list;
+		if (!list || !(list === untiered_images || tierlist_div.contains(list))) {
+			list = (entry.tier !== null ? find_row_items_by_name(entry.tier) : null) ?? untiered_images;
+		}
+		place_item(entry.container, { parent: list, index: Math.min(entry.index, list.children.length) });
+	});
+	let moves = entries.map((entry) => ({ container: entry.container, from: null, to: get_item_position(entry.container) }));
+	push_history({
+		undo: () => {
+			restore_item_positions(moves, 'from');
+			recycle_bin.push(...entries);
+		},
+		redo: () => {
+			restore_item_positions(moves, 'to');
+			remove_from_recycle_bin(entries);
 		}
 	});
+	mark_unsaved();
+	update_recycle_bin();
+	update_selection_bar();
+	update_untiered_count();
+}
+
+// Deletes items of the recycle bin for good
+function purge_trashed_items(entries) {
+	remove_from_recycle_bin(entries);
+	mark_unsaved();
+	update_recycle_bin();
+}
+
+// Updates the trash tooltip and the recycle bin panel, most recently deleted items first
+function update_recycle_bin() {
+	let trash = document.getElementById('trash');
+	let list = document.getElementById('recycle-bin-list');
+	if (!trash || !list) {
+		return;
+	}
+	trash.title = `Delete image (drag it over here). Click to see the deleted items (${recycle_bin.length})`;
+	while (list.firstChild) {
+		list.removeChild(list.firstChild);
+	}
+	document.getElementById('recycle-bin-none').hidden = recycle_bin.length > 0;
+	for (let entry of recycle_bin.slice().reverse()) {
+		let tr = document.createElement('tr');
+		let image_td = document.createElement('td');
+		let img = document.createElement('img');
+		img.classList.add('recycle-bin-thumbnail');
+		img.src = entry.container.querySelector('img.draggable').src;
+		img.alt = '';
+		image_td.appendChild(img);
+		let name_td = document.createElement('td');
+		name_td.textContent = entry.container.querySelector('.item-label').textContent || '(unnamed)';
+		let from_td = document.createElement('td');
+		from_td.textContent = entry.tier === null ? 'Untiered pool' : `Tier ${entry.tier}`;
+		let actions_td = document.createElement('td');
+		let restore_button = document.createElement('input');
+		restore_button.type = 'button';
+		restore_button.value = 'Restore';
+		restore_button.addEventListener('click', () => restore_trashed_items([entry]));
+		let purge_button = document.createElement('input');
+		purge_button.type = 'button';
+		purge_button.value = 'Delete for good';
+		purge_button.addEventListener('click', () => purge_trashed_items([entry]));
+		actions_td.appendChild(restore_button);
+		actions_td.appendChild(purge_button);
+		tr.append(image_td, name_td, from_td, actions_td);
+		list.appendChild(tr);
+	}
 }
 
 function bind_toggle_layout_events() {
@@ -995,7 +4854,8 @@ function is_url (str) {
 	}
 }
 
-// Fetches a tierlist JSON file from the 'url' query parameter and loads it
+// Fetches a tierlist JSON file from the 'url' query parameter and loads it.
+// Resolves to true if a tierlist was loaded.
 async function try_load_tierlist_json () {
 	const load_from_url = new URLSearchParams(window.location.search).get('url');
 	if (load_from_url !== null && is_url(load_from_url)) {
@@ -1004,15 +4864,12 @@ async function try_load_tierlist_json () {
 			if (!response.ok) {
 				throw new Error(`HTTP error! status: ${response.status}`);
 			}
-			let result = await response.json();
-			if (!result || typeof result !== 'object') {
-				throw new Error("Invalid JSON format");
-			}
-			hard_reset_list();
-			load_tierlist(result);
+			let result = await read_tierlist_file(await response.blob());
+			return await import_tierlist(result);
 		} catch (e) {
 			console.error("Failed to load tierlist from URL:", e);
 			alert("Failed to load tierlist: " + (e.message || "Unknown error"));
 		}
 	}
+	return false;
 }
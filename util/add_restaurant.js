@@ -6,7 +6,7 @@
  * Usage: node util/add_restaurant.js
  * 
  * This script will:
- * 1. List all JSON files in the data folder
+ * 1. List all JSON files (and ZIP bundles) in the data folder
  * 2. Ask you to select a file
  * 3. Ask for restaurant name
  * 4. Ask for image URL
@@ -26,6 +26,7 @@ const https = require('https');
 const http = require('http');
 const { URL } = require('url');
 const readline = require('readline');
+const { isBundlePath, readBundle, writeBundle } = require('./bundle');
 
 const DATA_DIR = path.join(__dirname, '..', 'data');
 const UTIL_DIR = path.join(__dirname);
@@ -43,11 +44,11 @@ function question(prompt) {
   });
 }
 
-// Get all JSON files in data directory
+// Get all JSON files and bundles in data directory
 function getJsonFiles() {
   try {
     const files = fs.readdirSync(DATA_DIR);
-    return files.filter(file => file.endsWith('.json'));
+    return files.filter(file => file.endsWith('.json') || isBundlePath(file));
   } catch (error) {
     console.error('Error reading data directory:', error.message);
     process.exit(1);
@@ -135,6 +136,38 @@ function loadJsonFile(filePath) {
       console.log(`⚠️  Warning: Large file detected (${fileSizeMB} MB). This may take a moment...`);
     }
 
+    // Resolves with the tierlist if its structure is valid
+    const resolveParsed = (parsed) => {
+      // Validate structure (quick validation without reading full content)
+      if (typeof parsed !== 'object' || parsed === null) {
+        reject(new Error('Invalid JSON: root must be an object'));
+        return;
+      }
+      
+      if (!Array.isArray(parsed.rows)) {
+        reject(new Error('Invalid JSON: "rows" must be an array'));
+        return;
+      }
+      
+      // Ensure untiered exists and is an array
+      if (parsed.untiered !== undefined && !Array.isArray(parsed.untiered)) {
+        reject(new Error('Invalid JSON: "untiered" must be an array if present'));
+        return;
+      }
+      
+      resolve(parsed);
+    };
+
+    // Bundles (ZIP files) are converted to the same structure as single JSON files
+    if (isBundlePath(filePath)) {
+      try {
+        resolveParsed(readBundle(filePath));
+      } catch (error) {
+        reject(new Error(`Error reading bundle: ${error.message}`));
+      }
+      return;
+    }
+
     // Use stream for reading (though JSON.parse still needs full content)
     const chunks = [];
     const stream = fs.createReadStream(filePath, { encoding: 'utf8' });
@@ -146,26 +179,7 @@ function loadJsonFile(filePath) {
     stream.on('end', () => {
       try {
         const content = chunks.join('');
-        const parsed = JSON.parse(content);
-        
-        // Validate structure (quick validation without reading full content)
-        if (typeof parsed !== 'object' || parsed === null) {
-          reject(new Error('Invalid JSON: root must be an object'));
-          return;
-        }
-        
-        if (!Array.isArray(parsed.rows)) {
-          reject(new Error('Invalid JSON: "rows" must be an array'));
-          return;
-        }
-        
-        // Ensure untiered exists and is an array
-        if (parsed.untiered !== undefined && !Array.isArray(parsed.untiered)) {
-          reject(new Error('Invalid JSON: "untiered" must be an array if present'));
-          return;
-        }
-        
-        resolve(parsed);
+        resolveParsed(JSON.parse(content));
       } catch (error) {
         if (error instanceof SyntaxError) {
           reject(new Error(`Invalid JSON syntax: ${error.message}`));
@@ -184,6 +198,16 @@ function loadJsonFile(filePath) {
 // Save JSON file with optimized stringification
 function saveJsonFile(filePath, data) {
   return new Promise((resolve, reject) => {
+    if (isBundlePath(filePath)) {
+      try {
+        writeBundle(filePath, data);
+        resolve();
+      } catch (error) {
+        reject(new Error(`Error saving bundle: ${error.message}`));
+      }
+      return;
+    }
+
     try {
       // Use JSON.stringify with replacer to handle large objects efficiently
       // Using 2-space indentation for readability (can be changed to 0 for smaller files)
@@ -0,0 +1,260 @@
+/**
+ * Reading and writing of tierlist bundles from the utility scripts
+ *
+ * A bundle is a ZIP file containing the tierlist in tierlist.json, where image items
+ * reference their image by its path in the images/ folder instead of a data URI.
+ * See "Bundle Format" in data/JSON_SCHEMA.md.
+ *
+ * readBundle() converts a bundle to the single file JSON structure (images as data URIs),
+ * and writeBundle() does the opposite, so the scripts can work on both formats the same way.
+ *
+ * Only stored and deflated ZIP entries are supported (no ZIP64 nor encryption).
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+
+const MANIFEST = 'tierlist.json';
+const IMAGES_DIR = 'images/';
+
+// Image types by file extension
+const IMAGE_EXTENSION_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  avif: 'image/avif',
+  bmp: 'image/bmp',
+  svg: 'image/svg+xml'
+};
+
+// File extension of a bundled image: the usual one for its type, or else its MIME subtype
+// (with dots turned into underscores, e.g. image/vnd.microsoft.icon -> vnd_microsoft_icon)
+function getImageExtension(mimeType) {
+  const extension = Object.keys(IMAGE_EXTENSION_TYPES).find((ext) => IMAGE_EXTENSION_TYPES[ext] === mimeType);
+  return extension || mimeType.replace(/^[^/]*\//, '').toLowerCase().replace(/[^a-z0-9+-]/g, '_');
+}
+
+// Type of a bundled image, from the extension given by getImageExtension()
+function getImageType(extension) {
+  return IMAGE_EXTENSION_TYPES[extension] || `image/${extension.replace(/_/g, '.')}`;
+}
+
+// Whether a file path is a bundle (rather than a single JSON file)
+function isBundlePath(filePath) {
+  return filePath.toLowerCase().endsWith('.zip');
+}
+
+let crcTable;
+
+function crc32(buffer) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let i = 0; i < 256; i++) {
+      let c = i;
+      for (let k = 0; k < 8; k++) {
+        c = (c & 1) ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[i] = c;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = crcTable[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Extracts all the files of a ZIP archive into a Map of path -> Buffer
+function unzip(buffer) {
+  // The end of central directory record is at the end, possibly followed by a comment
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) {
+    throw new Error('Not a ZIP file');
+  }
+  const entryCount = buffer.readUInt16LE(eocd + 10);
+  const directoryOffset = buffer.readUInt32LE(eocd + 16);
+  if (entryCount === 0xffff || directoryOffset === 0xffffffff) {
+    throw new Error('ZIP64 archives are not supported');
+  }
+
+  const files = new Map();
+  let pos = directoryOffset;
+  for (let i = 0; i < entryCount; i++) {
+    if (buffer.readUInt32LE(pos) !== 0x02014b50) {
+      throw new Error('Corrupted ZIP file');
+    }
+    const flags = buffer.readUInt16LE(pos + 8);
+    const method = buffer.readUInt16LE(pos + 10);
+    const compressedSize = buffer.readUInt32LE(pos + 20);
+    const nameLength = buffer.readUInt16LE(pos + 28);
+    const extraLength = buffer.readUInt16LE(pos + 30);
+    const commentLength = buffer.readUInt16LE(pos + 32);
+    const headerOffset = buffer.readUInt32LE(pos + 42);
+    const name = buffer.toString('utf8', pos + 46, pos + 46 + nameLength);
+    pos += 46 + nameLength + extraLength + commentLength;
+
+    // Skip directories and encrypted files
+    if (name.endsWith('/') || (flags & 1)) {
+      continue;
+    }
+    const dataStart = headerOffset + 30 + buffer.readUInt16LE(headerOffset + 26) + buffer.readUInt16LE(headerOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+    if (method === 0) {
+      files.set(name, data);
+    } else if (method === 8) {
+      files.set(name, zlib.inflateRawSync(data));
+    } else {
+      throw new Error(`Unsupported ZIP compression method ${method} for ${name}`);
+    }
+  }
+  return files;
+}
+
+// Builds a ZIP archive from a list of { path, data } (data being a Buffer).
+// Images are stored as they are, other files are deflated.
+function zip(files) {
+  const parts = [];
+  const directory = [];
+  let offset = 0;
+  const now = new Date();
+  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+  for (const file of files) {
+    const name = Buffer.from(file.path, 'utf8');
+    const compress = !file.path.startsWith(IMAGES_DIR);
+    const data = compress ? zlib.deflateRawSync(file.data) : file.data;
+
+    // Fields shared by the local header and the central directory entry
+    const common = Buffer.alloc(26);
+    common.writeUInt16LE(20, 0); // Version needed to extract
+    common.writeUInt16LE(0x0800, 2); // Flags: UTF-8 names
+    common.writeUInt16LE(compress ? 8 : 0, 4);
+    common.writeUInt16LE(dosTime, 6);
+    common.writeUInt16LE(dosDate, 8);
+    common.writeUInt32LE(crc32(file.data), 10);
+    common.writeUInt32LE(data.length, 14);
+    common.writeUInt32LE(file.data.length, 18);
+    common.writeUInt16LE(name.length, 22);
+    common.writeUInt16LE(0, 24); // Extra field length
+
+    const local = Buffer.alloc(4);
+    local.writeUInt32LE(0x04034b50, 0);
+    parts.push(local, common, name, data);
+
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);
+    entry.writeUInt16LE(20, 4); // Version made by
+    common.copy(entry, 6);
+    entry.writeUInt32LE(offset, 42);
+    directory.push(entry, name);
+
+    offset += 30 + name.length + data.length;
+  }
+
+  const directorySize = directory.reduce((size, part) => size + part.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(directorySize, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat(parts.concat(directory, [end]));
+}
+
+// Calls fn on every item of a tierlist (rows, untiered and trash), replacing it by fn's result
+function mapItems(jsonData, fn) {
+  if (Array.isArray(jsonData.rows)) {
+    jsonData.rows.forEach((row) => {
+      if (row && Array.isArray(row.imgs)) {
+        row.imgs = row.imgs.map(fn);
+      }
+    });
+  }
+  if (Array.isArray(jsonData.untiered)) {
+    jsonData.untiered = jsonData.untiered.map(fn);
+  }
+  if (Array.isArray(jsonData.trash)) {
+    jsonData.trash.forEach((entry) => {
+      if (entry && entry.item) {
+        entry.item = fn(entry.item);
+      }
+    });
+  }
+  return jsonData;
+}
+
+// Reads a bundle into the single file JSON structure, with the images as data URIs
+function readBundle(filePath) {
+  const files = unzip(fs.readFileSync(filePath));
+  const manifest = files.get(MANIFEST);
+  if (!manifest) {
+    throw new Error(`Invalid bundle: no ${MANIFEST} found`);
+  }
+  let jsonData;
+  try {
+    jsonData = JSON.parse(manifest.toString('utf8'));
+  } catch (error) {
+    throw new Error(`Invalid JSON syntax in ${MANIFEST}: ${error.message}`);
+  }
+  if (typeof jsonData !== 'object' || jsonData === null) {
+    throw new Error('Invalid JSON: root must be an object');
+  }
+
+  return mapItems(jsonData, (item) => {
+    if (!item || typeof item.src !== 'string' || item.src.startsWith('data:')) {
+      return item;
+    }
+    const imagePath = item.src.replace(/^\.\//, '');
+    const image = files.get(imagePath);
+    if (!image) {
+      throw new Error(`Invalid bundle: image ${imagePath} not found`);
+    }
+    const extension = imagePath.split('.').pop().toLowerCase();
+    const mimeType = getImageType(extension);
+    return Object.assign({}, item, { src: `data:${mimeType};base64,${image.toString('base64')}` });
+  });
+}
+
+// Writes a tierlist (single file JSON structure) as a bundle. Identical images are stored once.
+function writeBundle(filePath, jsonData) {
+  const files = [];
+  const paths = new Map();
+  const manifest = mapItems(JSON.parse(JSON.stringify(jsonData)), (item) => {
+    if (!item || typeof item.src !== 'string' || !item.src.startsWith('data:')) {
+      return item;
+    }
+    let imagePath = paths.get(item.src);
+    if (!imagePath) {
+      // Parameters other than base64 (e.g. charset=utf-8) are ignored
+      const match = item.src.match(/^data:([^,]*),(.*)$/s);
+      if (!match) {
+        throw new Error(`Invalid data URI for "${item.name}"`);
+      }
+      const header = match[1];
+      const data = header.endsWith(';base64') ? Buffer.from(match[2], 'base64') : Buffer.from(decodeURIComponent(match[2]), 'utf8');
+      const extension = getImageExtension(header.split(';')[0]);
+      const slug = String(item.name || '').replace(/[<>:"/\\|?*\x00-\x1f]/g, '').replace(/\s+/g, '_').substring(0, 50);
+      imagePath = `${IMAGES_DIR}${String(paths.size + 1).padStart(4, '0')}${slug ? '-' + slug : ''}.${extension}`;
+      paths.set(item.src, imagePath);
+      files.push({ path: imagePath, data: data });
+    }
+    return Object.assign({}, item, { src: imagePath });
+  });
+  files.unshift({ path: MANIFEST, data: Buffer.from(JSON.stringify(manifest, null, 2), 'utf8') });
+  fs.writeFileSync(filePath, zip(files));
+}
+
+module.exports = {
+  isBundlePath,
+  readBundle,
+  writeBundle
+};
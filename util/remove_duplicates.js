@@ -3,7 +3,9 @@
 /**
  * Utility script to remove duplicate restaurant entries from tierlist JSON files
  * 
- * Usage: node util/remove_duplicates.js
+ * Usage: node util/remove_duplicates.js [file]
+ *
+ * The file (a JSON file or a ZIP bundle) is looked up in the data folder, restaurant_tierlist.json by default.
  * 
  * This script will:
  * 1. Load the tierlist JSON file
@@ -17,6 +19,7 @@
 const fs = require('fs');
 const path = require('path');
 const readline = require('readline');
+const { isBundlePath, readBundle, writeBundle } = require('./bundle');
 
 const DATA_DIR = path.join(__dirname, '..', 'data');
 const DEFAULT_FILE = 'restaurant_tierlist.json';
@@ -53,6 +56,38 @@ function loadJsonFile(filePath) {
       console.log(`⚠️  Warning: Large file detected (${fileSizeMB} MB). This may take a moment...`);
     }
 
+    // Resolves with the tierlist if its structure is valid
+    const resolveParsed = (parsed) => {
+      // Validate structure
+      if (typeof parsed !== 'object' || parsed === null) {
+        reject(new Error('Invalid JSON: root must be an object'));
+        return;
+      }
+      
+      if (!Array.isArray(parsed.rows)) {
+        reject(new Error('Invalid JSON: "rows" must be an array'));
+        return;
+      }
+      
+      // Ensure untiered exists and is an array
+      if (parsed.untiered !== undefined && !Array.isArray(parsed.untiered)) {
+        reject(new Error('Invalid JSON: "untiered" must be an array if present'));
+        return;
+      }
+      
+      resolve(parsed);
+    };
+
+    // Bundles (ZIP files) are converted to the same structure as single JSON files
+    if (isBundlePath(filePath)) {
+      try {
+        resolveParsed(readBundle(filePath));
+      } catch (error) {
+        reject(new Error(`Error reading bundle: ${error.message}`));
+      }
+      return;
+    }
+
     // Use stream for reading (though JSON.parse still needs full content)
     const chunks = [];
     const stream = fs.createReadStream(filePath, { encoding: 'utf8' });
@@ -64,26 +99,7 @@ function loadJsonFile(filePath) {
     stream.on('end', () => {
       try {
         const content = chunks.join('');
-        const parsed = JSON.parse(content);
-        
-        // Validate structure
-        if (typeof parsed !== 'object' || parsed === null) {
-          reject(new Error('Invalid JSON: root must be an object'));
-          return;
-        }
-        
-        if (!Array.isArray(parsed.rows)) {
-          reject(new Error('Invalid JSON: "rows" must be an array'));
-          return;
-        }
-        
-        // Ensure untiered exists and is an array
-        if (parsed.untiered !== undefined && !Array.isArray(parsed.untiered)) {
-          reject(new Error('Invalid JSON: "untiered" must be an array if present'));
-          return;
-        }
-        
-        resolve(parsed);
+        resolveParsed(JSON.parse(content));
       } catch (error) {
         if (error instanceof SyntaxError) {
           reject(new Error(`Invalid JSON syntax: ${error.message}`));
@@ -102,6 +118,16 @@ function loadJsonFile(filePath) {
 // Save JSON file with optimized stringification
 function saveJsonFile(filePath, data) {
   return new Promise((resolve, reject) => {
+    if (isBundlePath(filePath)) {
+      try {
+        writeBundle(filePath, data);
+        resolve();
+      } catch (error) {
+        reject(new Error(`Error saving bundle: ${error.message}`));
+      }
+      return;
+    }
+
     try {
       const jsonString = JSON.stringify(data, null, 2);
       const writeStream = fs.createWriteStream(filePath, { encoding: 'utf8' });
@@ -418,7 +444,8 @@ function countEntries(jsonData) {
 async function main() {
   console.log('=== Remove Duplicate Restaurants ===\n');
   
-  const filePath = path.join(DATA_DIR, DEFAULT_FILE);
+  const fileName = process.argv[2] || DEFAULT_FILE;
+  const filePath = path.join(DATA_DIR, fileName);
   
   // Check if file exists
   if (!fs.existsSync(filePath)) {
@@ -427,7 +454,7 @@ async function main() {
   }
   
   // Load JSON file
-  console.log(`Loading ${DEFAULT_FILE}...`);
+  console.log(`Loading ${fileName}...`);
   let jsonData;
   try {
     jsonData = await loadJsonFile(filePath);